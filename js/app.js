@@ -3,7 +3,41 @@ import { AudioPlayer } from "./audio/player.js";
 import { VisualizationManager } from "./visualizers/visualizationManager.js";
 import { UIManager } from "./ui/uiManager.js";
 import { AudioAnalyzer } from "./detection/audioAnalyzer.js";
-import { RecordingCache } from "./storage/recordingCache.js";
+import { LiveAnalyzer } from "./detection/liveAnalyzer.js";
+import { RecordingCache, findEventClip } from "./storage/recordingCache.js";
+import { SettingsStore } from "./storage/settingsStore.js";
+import { SettingsPanel } from "./ui/settingsPanel.js";
+import { LibraryPanel } from "./ui/libraryPanel.js";
+import { StorageManager, formatBytes } from "./storage/storageManager.js";
+import { RetentionStore } from "./storage/retentionStore.js";
+import { LabelStore } from "./storage/labelStore.js";
+import { LabelsPanel } from "./ui/labelsPanel.js";
+import { ScheduleStore, getScheduleTimes } from "./storage/scheduleStore.js";
+import { SchedulePanel } from "./ui/schedulePanel.js";
+import {
+  RecordingOptionsStore,
+  getAudioConstraints,
+} from "./storage/recordingOptionsStore.js";
+import { RecordingOptionsPanel } from "./ui/recordingOptionsPanel.js";
+import {
+  CALIBRATION_SECONDS,
+  CalibrationStore,
+  createCalibration,
+} from "./storage/calibrationStore.js";
+import { CalibrationPanel } from "./ui/calibrationPanel.js";
+import { formatLevel, measureRoomLevel } from "./audio/levelMeter.js";
+import { transferAnnotations } from "./storage/eventAnnotations.js";
+import {
+  createSessionArchive,
+  getExportBaseName,
+} from "./export/sessionExport.js";
+import { exportEvents } from "./export/eventFormats.js";
+import { exportClips } from "./export/clipExport.js";
+import { buildHighlights } from "./audio/highlightsBuilder.js";
+import {
+  isSessionArchive,
+  readSessionArchive,
+} from "./export/sessionImport.js";
 
 class SleepRecorderApp {
   constructor() {
@@ -22,10 +56,54 @@ class SleepRecorderApp {
       this.elements.volumeLevel,
     );
     this.ui = new UIManager(this.elements);
-    this.analyzer = new AudioAnalyzer();
+    this.settingsStore = new SettingsStore();
+    const { preset, settings } = this.settingsStore.load();
+    this.analyzer = new AudioAnalyzer(settings);
+    this.liveAnalyzer = null; // Detects events while recording
+    this.liveResultPromise = null; // Final live result, awaited after stop
+    this.settingsPanel = new SettingsPanel(this.elements.settingsContainer);
+    this.settingsPanel.render(preset, settings);
+    this.libraryPanel = new LibraryPanel(this.elements.libraryContainer);
+    this.labelStore = new LabelStore();
+    const labels = this.labelStore.load();
+    this.labelsPanel = new LabelsPanel(this.elements.labelsContainer);
+    this.labelsPanel.render(labels);
+    this.visualizer.setEventLabels(labels);
+    this.scheduleStore = new ScheduleStore();
+    this.schedulePanel = new SchedulePanel(this.elements.scheduleContainer);
+    this.schedulePanel.render(this.scheduleStore.load());
+    this.recordingOptionsStore = new RecordingOptionsStore();
+    this.recordingOptionsPanel = new RecordingOptionsPanel(
+      this.elements.recordingOptionsContainer,
+    );
+    this.recordingOptionsPanel.render(this.recordingOptionsStore.load());
+    this.refreshMicrophones();
+    this.calibrationStore = new CalibrationStore();
+    this.calibrationPanel = new CalibrationPanel(
+      this.elements.calibrationContainer,
+    );
+    this.calibrationMeasurement = null; // Room level waiting to be saved
+    this.calibrationPanel.render(this.calibrationStore.load(), null);
+    this.levelOffset = null; // Calibration of the night shown, null = dBFS
     this.recordingCache = new RecordingCache();
+    this.storageManager = new StorageManager(this.recordingCache);
+    this.retentionStore = new RetentionStore();
+    this.nightUrl = null; // Object URL of the night's recording in the player
+    this.clipUrl = null; // Object URL of the event clip being played
+    this.currentSegmentIndex = null; // Clip loaded in the player
+    this.clipExportRunning = false;
+    this.highlights = null; // Last reel built: {events, key, blob, url, segments, duration}
+    this.highlightsPlaying = false; // Player has the reel loaded
+    this.highlightsRunning = false;
+    this.highlightsReturnUrl = null; // Player audio to restore afterwards
+    this.currentRecording = null; // Library record of the loaded night
+    this.recordingStartTime = null;
+    this.activeSession = null; // Library record of the night being recorded
+    this.chunkWrites = Promise.resolve(); // Serializes chunk saves
+    this.chunkSaveFailed = false;
     this.recordingBlob = null;
-    this.uploadedAudioBlob = null;
+    this.baseline = null; // Baseline (dB) of the loaded audio
+    this.audioDuration = null; // ms, from analysis or the library record
     this.currentPlayingEventIndex = null;
 
     this.setupEventHandlers();
@@ -38,6 +116,7 @@ class SleepRecorderApp {
       status: document.getElementById("status"),
       feedback: document.getElementById("feedback"),
       timer: document.getElementById("timer"),
+      liveEvents: document.getElementById("liveEvents"),
       recordBtn: document.getElementById("record"),
       stopBtn: document.getElementById("stop"),
       downloadBtn: document.getElementById("download"),
@@ -54,10 +133,22 @@ class SleepRecorderApp {
       bandsBtn: document.getElementById("bandsBtn"),
       spectralBtn: document.getElementById("spectralBtn"),
       eventsBtn: document.getElementById("eventsBtn"),
+      settingsBtn: document.getElementById("settingsBtn"),
+      libraryBtn: document.getElementById("libraryBtn"),
       frequencyBandsView: document.getElementById("frequencyBandsView"),
       spectralView: document.getElementById("spectralView"),
       eventsView: document.getElementById("eventsView"),
       eventsContainer: document.getElementById("eventsContainer"),
+      settingsView: document.getElementById("settingsView"),
+      settingsContainer: document.getElementById("settingsContainer"),
+      labelsContainer: document.getElementById("labelsContainer"),
+      scheduleContainer: document.getElementById("scheduleContainer"),
+      recordingOptionsContainer: document.getElementById(
+        "recordingOptionsContainer",
+      ),
+      calibrationContainer: document.getElementById("calibrationContainer"),
+      libraryView: document.getElementById("libraryView"),
+      libraryContainer: document.getElementById("libraryContainer"),
     };
   }
 
@@ -70,12 +161,65 @@ class SleepRecorderApp {
     this.elements.bandsBtn.onclick = () => this.setDisplayMode("bands");
     this.elements.spectralBtn.onclick = () => this.setDisplayMode("spectral");
     this.elements.eventsBtn.onclick = () => this.setDisplayMode("events");
+    this.elements.settingsBtn.onclick = () => this.setDisplayMode("settings");
+    this.elements.libraryBtn.onclick = () => this.setDisplayMode("library");
+
+    // Settings callbacks
+    this.settingsPanel.onSave = (preset, settings) =>
+      this.handleSettingsSave(preset, settings);
+    this.settingsPanel.onReanalyze = () => this.handleReanalyze();
+    this.labelsPanel.onChange = (labels) => this.handleLabelsChange(labels);
+    this.schedulePanel.onSave = (schedule) => this.handleScheduleSave(schedule);
+    this.recordingOptionsPanel.onSave = (options) =>
+      this.handleRecordingOptionsSave(options);
+    this.calibrationPanel.onMeasure = () => this.handleCalibrationMeasure();
+    this.calibrationPanel.onSave = (referenceDb) =>
+      this.handleCalibrationSave(referenceDb);
+    this.calibrationPanel.onRemove = (deviceId) =>
+      this.handleCalibrationRemove(deviceId);
+
+    // Events list callbacks
+    this.visualizer.setEventAnnotationHandler((event, index) =>
+      this.handleAnnotateEvent(event, index),
+    );
+    this.visualizer.setEventExportHandler((formatId, indices) =>
+      this.handleExportEvents(formatId, indices),
+    );
+    this.visualizer.setEventClipExportHandler((indices) =>
+      this.handleExportClips(indices),
+    );
+    this.visualizer.setHighlightsHandler((indices, download) =>
+      this.handleHighlights(indices, download),
+    );
+
+    // Library callbacks
+    this.libraryPanel.onOpen = (id) => this.handleOpenRecording(id);
+    this.libraryPanel.onRename = (id, name) =>
+      this.handleRenameRecording(id, name);
+    this.libraryPanel.onDelete = (id) => this.handleDeleteRecording(id);
+    this.libraryPanel.onStar = (id, starred) =>
+      this.handleStarRecording(id, starred);
+    this.libraryPanel.onPolicySave = (policy) =>
+      this.handleRetentionSave(policy);
 
     // Recorder callbacks
-    this.recorder.onStop = (url, blob, mimeType) =>
-      this.handleRecordingStop(url, blob, mimeType);
+    this.recorder.onStop = (url, blob, mimeType, segments) =>
+      this.handleRecordingStop(url, blob, mimeType, segments);
     this.recorder.onError = (error) => this.handleRecordingError(error);
-    this.recorder.onTimer = (elapsed) => this.ui.updateTimer(elapsed);
+    this.recorder.onTimer = (elapsed) => this.handleRecordingTimer(elapsed);
+    this.recorder.onStart = (mimeType) => this.handleRecordingStart(mimeType);
+    this.recorder.onCountdown = (secondsLeft) =>
+      this.ui.updateCountdown("⏳ Recording starts in", secondsLeft, "idle");
+    this.recorder.onScheduledStop = () => {
+      this.ui.showFeedback("⏰ Scheduled stop reached");
+      this.handleStop();
+    };
+    this.recorder.onChunk = (blob, index, details) =>
+      this.persistChunk(blob, index, details);
+    this.recorder.onSegment = ({ blob, startTime, endTime }, index) =>
+      this.persistChunk(blob, index, { startTime, endTime });
+    this.recorder.onAudioData = (samples, sampleRate) =>
+      this.liveAnalyzer?.addSamples(samples, sampleRate);
 
     // Player callbacks
     this.player.onPlay = () => {
@@ -89,31 +233,70 @@ class SleepRecorderApp {
       this.visualizer.updatePlayingEvent(null);
     };
     this.player.onEnded = () => {
+      if (this.playNextSegment()) return;
+
       this.ui.showFeedback("✅ Playback finished");
       this.stopPlaybackVisualization();
       this.currentPlayingEventIndex = null;
       this.visualizer.updatePlayingEvent(null);
     };
     this.player.onTimeUpdate = () => {
-      this.checkEventEndTime();
+      if (this.highlightsPlaying) {
+        this.followHighlights();
+      } else {
+        this.checkEventEndTime();
+      }
     };
   }
 
   async handleRecord() {
+    if (!(await this.confirmStorageForRecording())) {
+      this.ui.showFeedback("⏹️ Recording cancelled");
+      return;
+    }
+
     try {
       this.ui.showFeedback("🎤 Requesting microphone access...");
       this.ui.updateStatus("🔐 Requesting permission...", "idle");
 
-      const analyser = await this.recorder.start();
-
-      this.ui.showFeedback("✅ Microphone access granted!");
+      const options = this.recordingOptionsStore.load();
+      const analyser = await this.recorder.start({
+        ...getScheduleTimes(this.scheduleStore.load(), Date.now()),
+        soundActivation: options.soundActivated
+          ? {
+              triggerLevelDb: options.triggerLevelDb,
+              preBufferMs: this.analyzer.settings.eventPreBufferMs,
+              postBufferMs: this.analyzer.settings.eventPostBufferMs,
+            }
+          : null,
+        audioConstraints: getAudioConstraints(options),
+        segmentDurationMs: options.segmentMinutes * 60 * 1000,
+      });
+      if (options.soundActivated && !this.recorder.isSoundActivated()) {
+        this.ui.showFeedback(
+          "⚠️ Sound activation is not supported here, recording the whole night",
+        );
+      }
+      const capture = this.recorder.captureSettings;
+      if (options.deviceId && capture.deviceId !== options.deviceId) {
+        this.ui.showFeedback(
+          `⚠️ Selected microphone not found, using ${capture.device || "the default"}`,
+        );
+      }
+      // Microphone names are only listed once access was granted
+      this.refreshMicrophones();
+      this.setLevelOffset(this.getCaptureDetails().calibrationOffsetDb);
 
-      // Start visualization
+      // Start visualization (also while waiting, to check the microphone)
       this.visualizer.setAnalyser(analyser);
       this.visualizer.start();
 
-      this.ui.updateStatus("🔴 Recording...", "recording");
-      this.ui.showFeedback("🔴 Recording started!");
+      if (this.recorder.isWaiting()) {
+        const startAt = new Date(this.recorder.scheduledStart);
+        this.ui.showFeedback(
+          `⏳ Recording starts at ${startAt.toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" })}`,
+        );
+      }
       this.ui.setButtonStates({
         record: false,
         stop: true,
@@ -129,91 +312,699 @@ class SleepRecorderApp {
     }
   }
 
+  // Warn when a full night may not fit in the remaining storage quota
+  async confirmStorageForRecording() {
+    await this.storageManager.requestPersistence();
+
+    const space = await this.storageManager.checkSpaceForRecording();
+    if (!space || space.fits) return true;
+
+    return confirm(
+      `Only ${formatBytes(space.available)} of storage is left, and a night needs about ${formatBytes(space.needed)}. ` +
+        "The recording may not be saved. Delete old nights in the Library first, or press OK to record anyway.",
+    );
+  }
+
+  // MediaRecorder started, right away or after the scheduled delay
+  handleRecordingStart(mimeType) {
+    this.startRecordingSession(mimeType);
+    this.startLiveAnalysis();
+
+    this.ui.updateStatus(
+      this.recorder.isSoundActivated()
+        ? "🔴 Recording (sound-activated)..."
+        : "🔴 Recording...",
+      "recording",
+    );
+    this.ui.showFeedback("🔴 Recording started!");
+    this.updateDisplayModeButtons();
+  }
+
+  handleRecordingTimer(elapsed) {
+    this.ui.updateTimer(elapsed);
+
+    const stopAt = this.recorder.scheduledStop;
+    if (stopAt !== null) {
+      const secondsLeft = Math.max(0, Math.ceil((stopAt - Date.now()) / 1000));
+      this.ui.updateCountdown(
+        "🔴 Recording, stops in",
+        secondsLeft,
+        "recording",
+      );
+    }
+  }
+
   handleStop() {
+    if (this.recorder.isWaiting()) {
+      this.recorder.stop();
+      this.visualizer.stop();
+      this.ui.showFeedback("⏹️ Scheduled recording cancelled");
+      this.ui.updateStatus("⚪ Idle", "idle");
+      this.ui.setButtonStates({
+        record: true,
+        stop: false,
+        download: !!this.getArchiveAudio(),
+        upload: true,
+      });
+      this.updateDisplayModeButtons();
+      return;
+    }
+
     if (this.recorder.isRecording()) {
       this.ui.showFeedback("⏹️ Stopping recording...");
       this.ui.updateStatus("⏹️ Stopping...", "idle");
       this.recorder.stop();
       this.visualizer.stop();
 
+      // Analyze the last samples while the recording is finalized
+      if (this.liveAnalyzer) {
+        this.liveResultPromise = this.liveAnalyzer.finish();
+        this.liveAnalyzer = null;
+      }
+
       // Update display mode buttons for non-recording state
       this.updateDisplayModeButtons();
     }
   }
 
-  async handleRecordingStop(url, blob, mimeType) {
+  // segments is set (and url/blob null) for a sound-activated or rolling
+  // night; rolling files only have their times, the audio is in the cache
+  async handleRecordingStop(url, blob, mimeType, segments) {
     this.ui.showFeedback("💾 Processing recording...");
-    this.player.load(url);
+    this.resetHighlights();
+    this.setNightUrl(url);
     this.recordedMimeType = mimeType;
     this.recordingBlob = blob;
 
-    // Save to cache immediately (before analysis that might crash)
-    await this.saveRecordingToCache(blob, mimeType, []);
+    // Save to cache immediately (before analysis that might crash); the
+    // session's chunks are replaced by the complete blob
+    await this.chunkWrites;
+    const recording =
+      this.activeSession ||
+      this.recordingCache.createRecording({
+        blob: null,
+        mimeType,
+        timestamp: this.recordingStartTime || Date.now(),
+        duration: null,
+        settings: this.analyzer.settings,
+        soundActivated: this.recorder.isSoundActivated(),
+        segmented: this.recorder.isSegmented(),
+        capture: this.getCaptureDetails(),
+      });
+    this.activeSession = null;
+    recording.blob = blob;
+    if (recording.segmented) {
+      recording.clips = await this.loadRollingFiles(recording, segments);
+      if (recording.clips.length === 0) {
+        this.ui.showFeedback("❌ Recording could not be saved");
+        this.ui.updateStatus("⚠️ Recording lost", "error");
+        this.ui.setButtonStates({
+          record: true,
+          stop: false,
+          download: false,
+          upload: true,
+        });
+        this.ui.clearTimer();
+        this.ui.clearLiveEvents();
+        this.updateDisplayModeButtons();
+        this.liveResultPromise = null;
+        return;
+      }
+    } else if (segments) {
+      recording.clips = segments;
+    }
+    recording.duration = Date.now() - recording.timestamp;
+    this.currentRecording = recording;
+    await this.saveRecordingToCache(recording);
+    this.currentSegmentIndex = null;
+    if (recording.clips?.length > 0) {
+      this.loadSegment(0);
+    } else if (!blob) {
+      this.player.unload();
+    }
 
     // Enable download button right away so user can save even if analysis fails
     this.ui.setButtonStates({
       record: true,
       stop: false,
-      download: true,
+      download: !!this.getArchiveAudio(),
       upload: true,
     });
     this.ui.updateStatus("✅ Recording saved!", "stopped");
     this.ui.clearTimer();
+    this.ui.clearLiveEvents();
     this.updateDisplayModeButtons();
 
+    // Events were detected live, only the final pass is left
+    let analyzed = false;
+    if (this.liveResultPromise) {
+      const liveResultPromise = this.liveResultPromise;
+      this.liveResultPromise = null;
+      analyzed = await this.reconcileLiveResults(liveResultPromise, recording);
+    }
+
+    // Sound-activated segments can't be re-analyzed as one night
+    if (recording.soundActivated) {
+      if (segments.length === 0) {
+        this.ui.showFeedback("🤫 Nothing was loud enough to keep tonight");
+      } else if (!analyzed) {
+        this.ui.showFeedback(
+          "⚠️ Live analysis failed, segments kept without events",
+        );
+      }
+      await this.compressSegments(recording);
+      return;
+    }
+
     // Run analysis
-    await this.analyzeAudio(blob, mimeType);
+    if (!analyzed) await this.analyzeAudio(blob || recording.clips, mimeType);
+  }
+
+  // Rebuild a rolling night's files from the chunks saved while recording,
+  // with the recorder's exact file times
+  async loadRollingFiles(recording, segments) {
+    try {
+      const files = await this.recordingCache.getSessionFiles(recording);
+      for (const file of files) {
+        const segment = segments.find((s) => s.startTime === file.startTime);
+        if (segment) file.endTime = segment.endTime;
+      }
+      return files;
+    } catch (error) {
+      console.error("[Cache] Failed to load recorded files:", error);
+      return [];
+    }
+  }
+
+  // Sound-activated segments are saved as WAV while recording; compress
+  // them once the night is over
+  async compressSegments(recording) {
+    try {
+      const compressed = await this.storageManager.compressSegments(
+        recording.id,
+        (done, total) =>
+          this.ui.showFeedback(
+            `🗜️ Compressing segment ${done + 1}/${total}...`,
+          ),
+      );
+      if (!compressed) return;
+
+      // Keep the player on the same segment, now from the smaller file
+      if (this.currentRecording?.id === recording.id) {
+        this.currentRecording.clips = compressed.clips;
+        this.currentRecording.mimeType = compressed.mimeType;
+        if (this.currentSegmentIndex !== null && !this.player.isPlaying()) {
+          this.loadSegment(this.currentSegmentIndex);
+        }
+      }
+      const size = compressed.clips.reduce(
+        (sum, clip) => sum + clip.blob.size,
+        0,
+      );
+      this.ui.showFeedback(
+        `✅ ${compressed.clips.length} segment(s) saved, ${formatBytes(size)}`,
+      );
+    } catch (error) {
+      console.error("[Storage] Failed to compress segments:", error);
+      this.ui.showFeedback("⚠️ Segments kept uncompressed");
+    }
+  }
+
+  // Create the library record as soon as MediaRecorder starts, so chunks
+  // can be saved against it
+  startRecordingSession(mimeType) {
+    this.recordingStartTime = Date.now();
+    this.chunkSaveFailed = false;
+
+    const session = this.recordingCache.createRecording({
+      blob: null,
+      mimeType,
+      timestamp: this.recordingStartTime,
+      duration: null,
+      settings: this.analyzer.settings,
+      soundActivated: this.recorder.isSoundActivated(),
+      segmented: this.recorder.isSegmented(),
+      capture: this.getCaptureDetails(),
+    });
+    this.activeSession = session;
+    this.chunkWrites = this.recordingCache
+      .startSession(session)
+      .then(async () => {
+        if (!(await this.recordingCache.hasChunkStore())) {
+          this.keepNightInMemory();
+        }
+      })
+      .catch((error) => this.handleChunkSaveError(error));
+  }
+
+  // Rolling files are rebuilt from the saved chunks at stop; when chunks
+  // can't be saved, record the night in one file held in memory instead.
+  // False once files have rolled over
+  keepNightInMemory() {
+    const session = this.activeSession;
+    if (!session?.segmented) return true;
+    if (!this.recorder.stopRolling()) return false;
+
+    session.segmented = false;
+    return true;
+  }
+
+  // details holds a segment's startTime/endTime in sound-activated mode, or
+  // the rolling file of the chunk
+  persistChunk(blob, index, details) {
+    const session = this.activeSession;
+    if (!session) return;
+
+    this.chunkWrites = this.chunkWrites
+      .then(() =>
+        this.recordingCache.appendChunk(session.id, index, blob, details),
+      )
+      .catch((error) => this.handleChunkSaveError(error));
+  }
+
+  handleChunkSaveError(error) {
+    console.error("[Cache] Failed to save recording chunk:", error);
+
+    // Recording continues in memory; warn once per night
+    if (!this.chunkSaveFailed) {
+      this.chunkSaveFailed = true;
+      this.ui.showFeedback(
+        this.keepNightInMemory()
+          ? "⚠️ Could not save recording progress, don't close the app before stopping"
+          : "⚠️ Could not save recording progress, part of this night may be lost",
+      );
+    }
+  }
+
+  startLiveAnalysis() {
+    if (!this.recorder.hasLiveCapture()) {
+      console.warn("[App] Live capture unavailable, analyzing after stop");
+      return;
+    }
+
+    try {
+      this.liveAnalyzer = new LiveAnalyzer(this.analyzer.settings);
+      this.liveAnalyzer.onEvents = (events, duration) =>
+        this.handleLiveEvents(events, duration);
+      this.liveAnalyzer.start();
+      this.ui.updateLiveEvents(0);
+    } catch (error) {
+      console.error("[App] Failed to start live analysis:", error);
+      this.liveAnalyzer?.cancel();
+      this.liveAnalyzer = null;
+    }
+  }
+
+  handleLiveEvents(events, duration) {
+    if (!this.recorder.isRecording()) return;
+
+    this.ui.updateLiveEvents(events.length);
+    this.visualizer.updateEvents(events, duration);
+    this.visualizer.renderEventsList(events, () =>
+      this.ui.showFeedback("⏺️ Stop recording to play events"),
+    );
+  }
+
+  async reconcileLiveResults(liveResultPromise, recording) {
+    try {
+      this.ui.updateStatus("🔍 Finishing analysis...", "recording");
+      const result = await liveResultPromise;
+      console.log("[App] Using live analysis results");
+      this.showAnalysisResults(result);
+      await this.saveRecordingToCache(recording, {
+        events: result.events,
+        duration: result.duration,
+        baseline: result.baseline,
+        analyzed: true,
+      });
+      this.applyRetention();
+      return true;
+    } catch (error) {
+      // Fall back to a full pass over the recorded file
+      console.warn("[App] Live analysis failed, re-analyzing:", error);
+      return false;
+    }
   }
 
   handleRecordingError(error) {
     this.ui.showFeedback(`❌ Recorder error: ${error.name}`);
     this.ui.updateStatus("❌ Error occurred", "error");
+
+    // A scheduled start that failed leaves nothing recording
+    if (!this.recorder.isRecording() && !this.recorder.isWaiting()) {
+      this.recorder.stop();
+      this.visualizer.stop();
+      this.ui.setButtonStates({
+        record: true,
+        stop: false,
+        download: !!this.getArchiveAudio(),
+        upload: true,
+      });
+      this.updateDisplayModeButtons();
+    }
   }
 
-  handleDownload() {
-    if (!this.player.hasAudio()) {
+  // Download the audio and a JSON manifest as one ZIP archive
+  async handleDownload() {
+    const audio = this.getArchiveAudio();
+    if (!audio) {
       this.ui.showFeedback("❌ No recording available");
       return;
     }
 
-    const timestamp = new Date().toISOString().slice(0, 19).replace(/:/g, "-");
-    const extension = this.recordedMimeType?.includes("mp4") ? "m4a" : "webm";
+    // Null if the night was deleted from the library while loaded
+    const recording = this.currentRecording;
+    this.ui.showFeedback("📦 Preparing download...");
+
+    try {
+      const { blob, fileName } = await createSessionArchive(audio, {
+        name: recording?.name ?? null,
+        startTime: recording?.timestamp ?? null,
+        duration: this.audioDuration,
+        mimeType: this.recordedMimeType,
+        clipsOnly: !this.getNightAudio(),
+        soundActivated: !!recording?.soundActivated,
+        baseline: this.baseline,
+        settings: recording?.settings ?? null,
+        capture: recording?.capture ?? null,
+        analyzed: !!recording?.analyzed,
+        events: this.visualizer.lastEvents || [],
+      });
+
+      this.downloadBlob(blob, fileName);
+      this.ui.showFeedback("✅ Download started!");
+    } catch (error) {
+      console.error("[Export] Failed to create archive:", error);
+      this.ui.showFeedback(`❌ Download failed: ${error.message}`);
+    }
+  }
+
+  handleExportEvents(formatId, indices) {
+    const events = this.visualizer.lastEvents || [];
+    if (indices.length === 0) {
+      this.ui.showFeedback("❌ No events to export");
+      return;
+    }
+
+    try {
+      const { blob, fileName } = exportEvents(
+        formatId,
+        indices.map((index) => ({ number: index + 1, event: events[index] })),
+        {
+          name: this.currentRecording?.name ?? null,
+          startTime: this.currentRecording?.timestamp ?? null,
+          calibrationOffsetDb:
+            this.currentRecording?.capture?.calibrationOffsetDb ?? null,
+        },
+      );
+      this.downloadBlob(blob, fileName);
+      this.ui.showFeedback(`✅ Exported ${indices.length} event(s)`);
+    } catch (error) {
+      console.error("[Export] Failed to export events:", error);
+      this.ui.showFeedback(`❌ Export failed: ${error.message}`);
+    }
+  }
+
+  async handleExportClips(indices) {
+    if (this.recorder.isRecording()) {
+      this.ui.showFeedback("⏺️ Stop recording to export clips");
+      return;
+    }
+    if (this.clipExportRunning) {
+      this.ui.showFeedback("⏳ Clips are already being exported");
+      return;
+    }
+
+    const recording = this.currentRecording;
+    const source = this.recordingBlob
+      ? { audioBlob: this.recordingBlob }
+      : { clips: recording?.clips };
+    const events = this.visualizer.lastEvents || [];
+    if (indices.length === 0) {
+      this.ui.showFeedback("❌ No events to export");
+      return;
+    }
+
+    this.clipExportRunning = true;
+    try {
+      const { blob, fileName, skipped } = await exportClips(
+        source,
+        indices.map((index) => ({ number: index + 1, event: events[index] })),
+        { startTime: recording?.timestamp ?? null },
+        (done, total) =>
+          this.ui.showFeedback(`🎧 Encoding clip ${done + 1}/${total}...`),
+      );
+      this.downloadBlob(blob, fileName);
+      this.ui.showFeedback(
+        skipped
+          ? `✅ Clips exported (${skipped} without audio skipped)`
+          : `✅ Exported ${indices.length} clip(s)`,
+      );
+    } catch (error) {
+      console.error("[Export] Failed to export clips:", error);
+      this.ui.showFeedback(`❌ Clip export failed: ${error.message}`);
+    } finally {
+      this.clipExportRunning = false;
+    }
+  }
+
+  // Build (or reuse) the highlights reel, then play or download it
+  async handleHighlights(indices, download) {
+    if (this.recorder.isRecording()) {
+      this.ui.showFeedback("⏺️ Stop recording to build highlights");
+      return;
+    }
+    if (this.highlightsRunning) {
+      this.ui.showFeedback("⏳ Highlights are already being built");
+      return;
+    }
+
+    const recording = this.currentRecording;
+    const events = this.visualizer.lastEvents || [];
+    if (indices.length === 0) {
+      this.ui.showFeedback("❌ No events for highlights");
+      return;
+    }
+
+    const key = indices.join(",");
+    if (this.highlights?.events !== events || this.highlights.key !== key) {
+      this.highlightsRunning = true;
+      try {
+        const { blob, segments, duration } = await buildHighlights(
+          this.recordingBlob
+            ? { audioBlob: this.recordingBlob }
+            : { clips: recording?.clips },
+          indices.map((index) => ({ index, event: events[index] })),
+          (done, total) =>
+            this.ui.showFeedback(
+              `🎬 Preparing highlights ${done + 1}/${total}...`,
+            ),
+        );
+        if (this.visualizer.lastEvents !== events) return; // Night changed
+
+        if (this.highlights) URL.revokeObjectURL(this.highlights.url);
+        this.highlights = {
+          events,
+          key,
+          blob,
+          url: URL.createObjectURL(blob),
+          segments,
+          duration,
+        };
+      } catch (error) {
+        console.error("[Highlights] Failed to build highlights:", error);
+        this.ui.showFeedback(`❌ Highlights failed: ${error.message}`);
+        return;
+      } finally {
+        this.highlightsRunning = false;
+      }
+    }
 
+    if (download) {
+      this.downloadBlob(
+        this.highlights.blob,
+        `${getExportBaseName(recording?.timestamp ?? null)}-highlights.webm`,
+      );
+      this.ui.showFeedback("✅ Download started!");
+    } else {
+      this.playHighlights();
+    }
+  }
+
+  playHighlights() {
+    if (!this.highlightsPlaying) {
+      this.highlightsReturnUrl = this.player.url;
+      this.highlightsPlaying = true;
+    }
+    this.currentPlayingEventIndex = null;
+    this.currentEventEndTime = null;
+    this.player.load(this.highlights.url);
+    this.player.play();
+
+    const { segments, duration } = this.highlights;
+    this.ui.showFeedback(
+      `🎬 Playing ${segments.length} event(s) in ${this.formatMinutes(duration)}`,
+    );
+  }
+
+  // Highlight the event the reel is currently playing
+  followHighlights() {
+    const time = this.player.getCurrentTime();
+    const segment = this.highlights.segments.findLast((s) => s.start <= time);
+    const index = segment ? segment.index : null;
+
+    if (index !== this.currentPlayingEventIndex) {
+      this.currentPlayingEventIndex = index;
+      this.visualizer.updatePlayingEvent(index);
+    }
+  }
+
+  // Go back to the night's own audio
+  stopHighlights() {
+    if (!this.highlightsPlaying) return;
+
+    this.highlightsPlaying = false;
+    this.currentPlayingEventIndex = null;
+    if (this.highlightsReturnUrl) {
+      this.player.load(this.highlightsReturnUrl);
+    }
+    this.highlightsReturnUrl = null;
+  }
+
+  // The reel belongs to the audio loaded before; drop it
+  resetHighlights() {
+    this.highlightsPlaying = false;
+    this.highlightsReturnUrl = null;
+    if (this.highlights) {
+      URL.revokeObjectURL(this.highlights.url);
+      this.highlights = null;
+    }
+  }
+
+  formatMinutes(seconds) {
+    const minutes = Math.floor(seconds / 60);
+    const rest = Math.floor(seconds % 60);
+    return `${minutes}:${String(rest).padStart(2, "0")}`;
+  }
+
+  downloadBlob(blob, fileName) {
+    const url = URL.createObjectURL(blob);
     const link = document.createElement("a");
-    link.href = this.player.url;
-    link.download = `sleep-${timestamp}.${extension}`;
+    link.href = url;
+    link.download = fileName;
     link.click();
-
-    this.ui.showFeedback("✅ Download started!");
+    // Revoking right away can cancel the download in some browsers
+    setTimeout(() => URL.revokeObjectURL(url), 60000);
   }
 
   handleUpload() {
     this.elements.fileInput.click();
   }
 
+  // Import a session archive or a plain audio file into the library
   async handleFileSelected(event) {
     const file = event.target.files[0];
+    event.target.value = ""; // Allow importing the same file again
     if (!file) return;
 
-    if (!file.type.startsWith("audio/")) {
-      this.ui.showFeedback("❌ Please select an audio file");
+    const isArchive = isSessionArchive(file);
+    if (!isArchive && !file.type.startsWith("audio/")) {
+      this.ui.showFeedback("❌ Please select an audio file or a session .zip");
       return;
     }
 
     this.ui.showFeedback("📁 Loading file...");
-    this.player.load(URL.createObjectURL(file));
-    this.uploadedAudioBlob = file;
 
-    this.ui.updateStatus("✅ File loaded!", "stopped");
-    this.ui.setButtonStates({
-      record: true,
-      stop: false,
-      download: true,
-      upload: true,
+    try {
+      const { manifest, audioBlob, segments } = isArchive
+        ? await readSessionArchive(file)
+        : { manifest: null, audioBlob: file, segments: null };
+
+      const recording = await this.importRecording(
+        file,
+        manifest,
+        audioBlob,
+        segments,
+      );
+      if (!recording) {
+        this.ui.showFeedback("📁 Import cancelled");
+        return;
+      }
+
+      this.openRecording(recording);
+      this.ui.updateStatus("✅ File imported!", "stopped");
+
+      if (recording.analyzed) {
+        // Events and annotations come from the manifest
+        this.ui.showFeedback(
+          `📥 Imported ${recording.name} with ${recording.events.length} event(s)`,
+        );
+        this.setDisplayMode("events");
+        this.applyRetention();
+      } else if (this.getNightAudio()) {
+        // Auto-scan files without a previous analysis
+        const audio = this.getNightAudio();
+        setTimeout(() => this.analyzeAudio(audio, recording.mimeType), 500);
+      } else {
+        this.ui.showFeedback(`📥 Imported ${recording.name} (clips only)`);
+      }
+    } catch (error) {
+      console.error("[Import] Failed to import file:", error);
+      this.ui.showFeedback(`❌ Import failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Save an imported file as a library night
+   *
+   * @param {File} file - Selected file
+   * @param {Object|null} manifest - Session manifest, null for plain audio
+   * @param {Blob|null} audioBlob - Audio to store
+   * @param {Array|null} [segments] - Files of a segmented night instead
+   * @returns {Promise<Object|null>} Saved record, or null if the user declined
+   *   to replace an existing night
+   */
+  async importRecording(file, manifest, audioBlob, segments = null) {
+    // Plain files only have their modification time, usually when recording ended
+    const timestamp = manifest?.startTime
+      ? Date.parse(manifest.startTime)
+      : file.lastModified || Date.now();
+
+    const recording = this.recordingCache.createRecording({
+      blob: audioBlob,
+      mimeType:
+        (audioBlob || segments[0]?.blob)?.type ||
+        manifest?.mimeType ||
+        file.type,
+      timestamp,
+      duration: manifest?.duration ?? null,
+      settings: manifest?.settings ?? this.analyzer.settings,
+      soundActivated: !!manifest?.soundActivated,
+      segmented: !!segments && !manifest.clipsOnly,
+      capture: manifest?.capture ?? null,
     });
+    if (segments) recording.clips = segments;
+    recording.name = manifest?.name || file.name.replace(/\.\w+$/, "");
+    recording.imported = true;
+    if (manifest && (manifest.analyzed || manifest.events.length > 0)) {
+      recording.events = manifest.events;
+      recording.baseline = manifest.baseline ?? null;
+      recording.analyzed = true;
+    }
 
-    // Auto-scan uploaded files
-    setTimeout(() => this.analyzeAudio(file, null), 500);
+    const existing = await this.recordingCache.getRecording(recording.id);
+    if (
+      existing &&
+      !confirm(
+        `"${existing.name}" is already in the library. Replace it with the imported copy?`,
+      )
+    ) {
+      return null;
+    }
+
+    await this.saveRecordingToCache(recording);
+    console.log(`[Import] Imported ${recording.id} (${recording.name})`);
+    return recording;
   }
 
   checkEventEndTime() {
@@ -250,9 +1041,299 @@ class SleepRecorderApp {
     this.elements.bandsBtn.classList.toggle("active", mode === "bands");
     this.elements.spectralBtn.classList.toggle("active", mode === "spectral");
     this.elements.eventsBtn.classList.toggle("active", mode === "events");
+    this.elements.settingsBtn.classList.toggle("active", mode === "settings");
+    this.elements.libraryBtn.classList.toggle("active", mode === "library");
+
+    if (mode === "library") {
+      this.refreshLibrary();
+    }
+  }
+
+  async refreshLibrary() {
+    try {
+      const recordings = await this.recordingCache.listRecordings();
+      const estimate = await this.storageManager.getEstimate();
+      this.libraryPanel.render(
+        recordings,
+        this.currentRecording?.id ?? null,
+        estimate,
+        this.retentionStore.load(),
+      );
+    } catch (error) {
+      console.error("[Cache] Failed to list recordings:", error);
+      this.ui.showFeedback("❌ Could not load saved recordings");
+    }
+  }
+
+  async handleOpenRecording(id) {
+    if (this.recorder.isRecording()) {
+      this.ui.showFeedback("⏺️ Stop recording first");
+      return;
+    }
+
+    try {
+      const recording = await this.recordingCache.getRecording(id);
+      if (!recording) {
+        this.ui.showFeedback("❌ Recording not found");
+        this.refreshLibrary();
+        return;
+      }
+
+      this.openRecording(recording);
+      this.ui.showFeedback(`📂 Opened ${recording.name}`);
+      this.setDisplayMode("events");
+    } catch (error) {
+      console.error("[Cache] Failed to open recording:", error);
+      this.ui.showFeedback(`❌ Could not open recording: ${error.message}`);
+    }
+  }
+
+  async handleRenameRecording(id, name) {
+    try {
+      await this.recordingCache.renameRecording(id, name);
+      if (this.currentRecording?.id === id) {
+        this.currentRecording.name = name;
+      }
+      this.ui.showFeedback("✅ Recording renamed");
+    } catch (error) {
+      console.error("[Cache] Failed to rename recording:", error);
+      this.ui.showFeedback(`❌ Could not rename: ${error.message}`);
+    }
+    this.refreshLibrary();
+  }
+
+  async handleStarRecording(id, starred) {
+    try {
+      await this.recordingCache.setStarred(id, starred);
+      if (this.currentRecording?.id === id) {
+        this.currentRecording.starred = starred;
+      }
+    } catch (error) {
+      console.error("[Cache] Failed to star recording:", error);
+      this.ui.showFeedback(`❌ Could not update: ${error.message}`);
+    }
+    this.refreshLibrary();
+  }
+
+  handleRecordingOptionsSave(options) {
+    this.recordingOptionsStore.save(options);
+    this.ui.showFeedback("✅ Recording options saved");
+  }
+
+  // Fill the microphone picker; called again when devices change
+  async refreshMicrophones() {
+    const mediaDevices = navigator.mediaDevices;
+    if (!mediaDevices || !mediaDevices.enumerateDevices) return;
+
+    if (!mediaDevices.ondevicechange) {
+      mediaDevices.ondevicechange = () => this.refreshMicrophones();
+    }
+
+    try {
+      const devices = await mediaDevices.enumerateDevices();
+      this.recordingOptionsPanel.setDevices(
+        devices.filter((device) => device.kind === "audioinput"),
+      );
+    } catch (error) {
+      console.warn("[App] Could not list microphones:", error);
+    }
+  }
+
+  // Microphone settings of the recording, with its calibration (if any)
+  getCaptureDetails() {
+    const capture = this.recorder.captureSettings;
+    if (!capture) return null;
+
+    const calibration = this.calibrationStore.get(capture.deviceId);
+    return {
+      ...capture,
+      calibrationOffsetDb: calibration ? calibration.offsetDb : null,
+    };
+  }
+
+  // Show levels in approximate dB SPL (offset) or dBFS (null)
+  setLevelOffset(offsetDb) {
+    this.levelOffset = offsetDb;
+    this.visualizer.setLevelOffset(offsetDb);
+  }
+
+  async handleCalibrationMeasure() {
+    if (this.recorder.isRecording() || this.recorder.isWaiting()) {
+      this.ui.showFeedback("⚠️ Stop recording before calibrating");
+      return;
+    }
+
+    const options = this.recordingOptionsStore.load();
+    this.ui.showFeedback("🎤 Measuring the room, keep quiet...");
+    this.calibrationPanel.setMeasuring(CALIBRATION_SECONDS);
+    try {
+      this.calibrationMeasurement = await measureRoomLevel(
+        getAudioConstraints(options),
+        CALIBRATION_SECONDS * 1000,
+        (secondsLeft) => this.calibrationPanel.setMeasuring(secondsLeft),
+      );
+      this.calibrationPanel.render(
+        this.calibrationStore.load(),
+        this.calibrationMeasurement,
+      );
+      this.ui.showFeedback(
+        "✅ Room measured, enter a sound meter reading or save as a quiet room",
+      );
+    } catch (error) {
+      console.error("[Calibration] Measurement failed:", error);
+      this.calibrationPanel.setMeasuring(null);
+      this.ui.showFeedback(`❌ Could not measure: ${error.message}`);
+    }
+  }
+
+  handleCalibrationSave(referenceDb) {
+    const measurement = this.calibrationMeasurement;
+    if (!measurement) return;
+
+    this.calibrationStore.save(
+      measurement.deviceId,
+      createCalibration(measurement.levelDb, referenceDb, measurement.device),
+    );
+    this.calibrationMeasurement = null;
+    this.calibrationPanel.render(this.calibrationStore.load(), null);
+    this.ui.showFeedback(
+      "✅ Calibration saved, used for the next recordings with this microphone",
+    );
+  }
+
+  handleCalibrationRemove(deviceId) {
+    this.calibrationStore.remove(deviceId);
+    this.calibrationPanel.render(
+      this.calibrationStore.load(),
+      this.calibrationMeasurement,
+    );
+    this.ui.showFeedback("🗑️ Calibration removed");
+  }
+
+  handleScheduleSave(schedule) {
+    this.scheduleStore.save(schedule);
+    this.ui.showFeedback("✅ Recording schedule saved");
+  }
+
+  async handleRetentionSave(policy) {
+    this.retentionStore.save(policy);
+    this.ui.showFeedback("✅ Retention policy saved");
+    await this.applyRetention();
+  }
+
+  async applyRetention() {
+    try {
+      const { deleted, trimmed } = await this.storageManager.applyRetention(
+        this.retentionStore.load(),
+        () => this.currentRecording?.id ?? null,
+      );
+      if (deleted || trimmed) {
+        this.ui.showFeedback(
+          `🧹 Retention: ${deleted} night(s) deleted, ${trimmed} trimmed to event clips`,
+        );
+      }
+    } catch (error) {
+      console.error("[Storage] Retention failed:", error);
+    }
+
+    if (this.visualizer.getDisplayMode() === "library") {
+      this.refreshLibrary();
+    }
+  }
+
+  async handleDeleteRecording(id) {
+    try {
+      await this.recordingCache.deleteRecording(id);
+      if (this.currentRecording?.id === id) {
+        // Audio stays loaded, but is no longer saved
+        this.currentRecording = null;
+      }
+      this.ui.showFeedback("🗑️ Recording deleted");
+    } catch (error) {
+      console.error("[Cache] Failed to delete recording:", error);
+      this.ui.showFeedback(`❌ Could not delete: ${error.message}`);
+    }
+    this.refreshLibrary();
+  }
+
+  handleLabelsChange(labels) {
+    this.labelStore.save(labels);
+    this.visualizer.setEventLabels(labels);
+  }
+
+  // Returns false to undo the change in the events list
+  handleAnnotateEvent(event, index) {
+    if (this.recorder.isRecording()) {
+      this.ui.showFeedback("⏺️ Stop recording to annotate events");
+      return false;
+    }
+
+    const recording = this.currentRecording;
+    if (!recording) {
+      this.ui.showFeedback(
+        "📝 Annotation kept until the page is closed (night is not in the library)",
+      );
+      return true;
+    }
+    if (recording.events?.[index] !== event) {
+      // Live events shown while the recording is finalized
+      this.ui.showFeedback("⏳ Wait for the analysis to finish");
+      return false;
+    }
+
+    this.saveAnnotations(recording);
+    return true;
+  }
+
+  async saveAnnotations(recording) {
+    try {
+      await this.recordingCache.updateRecording(recording.id, {
+        events: recording.events,
+      });
+    } catch (error) {
+      console.error("[Cache] Failed to save annotation:", error);
+      this.ui.showFeedback(`❌ Could not save annotation: ${error.message}`);
+    }
+  }
+
+  handleSettingsSave(preset, settings) {
+    this.analyzer.setSettings(settings);
+    this.settingsStore.save(preset, settings);
+    this.ui.showFeedback("✅ Detection settings saved");
+  }
+
+  handleReanalyze() {
+    const audio = this.getNightAudio();
+    if (!audio) {
+      this.ui.showFeedback("❌ No recording available");
+      return;
+    }
+
+    this.analyzeAudio(audio, this.recordedMimeType);
+  }
+
+  // Audio for the session archive: the whole night, else the event clips or
+  // sound-activated segments kept of it
+  getArchiveAudio() {
+    return this.getNightAudio() || this.currentRecording?.clips || null;
+  }
+
+  // Audio of the whole night: the recording, or the files of a rolling
+  // recording; null for nights kept as event clips or sound-activated
+  getNightAudio() {
+    if (this.recordingBlob) return this.recordingBlob;
+    const recording = this.currentRecording;
+    return recording?.segmented ? recording.clips : null;
   }
 
   playEvent(event, index) {
+    this.stopHighlights();
+
+    if (this.currentRecording && !this.currentRecording.blob) {
+      this.playEventClip(event, index);
+      return;
+    }
+
     const startTime = event.startTime / 1000; // Convert to seconds
     const endTime = event.endTime / 1000; // Convert to seconds
 
@@ -276,66 +1357,146 @@ class SleepRecorderApp {
     this.ui.showFeedback(`▶️ Playing event ${index + 1}`);
   }
 
-  async analyzeAudio(audioBlob, mimeType) {
+  // Nights kept as clips (trimmed by the retention policy, or recorded
+  // sound-activated) play the clip holding the event
+  playEventClip(event, index) {
+    if (this.currentPlayingEventIndex === index && this.player.isPlaying()) {
+      this.player.play(); // Toggle pause
+      this.visualizer.updatePlayingEvent(null);
+      this.ui.showFeedback(`⏸️ Paused event ${index + 1}`);
+      return;
+    }
+
+    // Rolling files play on into the next one, so start in the file holding
+    // the event's start
+    const recording = this.currentRecording;
+    const clips = recording.clips || [];
+    const clip = recording.segmented
+      ? clips.find((file) => file.endTime > event.startTime)
+      : findEventClip(clips, event);
+    if (!clip) {
+      this.ui.showFeedback("❌ Audio for this event was not kept");
+      return;
+    }
+
+    this.loadSegment(clips.indexOf(clip));
+    this.player.seek(Math.max(0, event.startTime - clip.startTime) / 1000);
+    if (!this.player.isPlaying()) {
+      this.player.play();
+    }
+
+    this.currentPlayingEventIndex = index;
+    this.currentEventEndTime = (event.endTime - clip.startTime) / 1000;
+    this.visualizer.updatePlayingEvent(index);
+    this.ui.showFeedback(`▶️ Playing event ${index + 1}`);
+  }
+
+  // Load a night's recording, releasing the previous night's audio (and
+  // its last clip) so browsing the library doesn't keep every night in memory
+  setNightUrl(url) {
+    if (this.nightUrl) URL.revokeObjectURL(this.nightUrl);
+    if (this.clipUrl) URL.revokeObjectURL(this.clipUrl);
+    this.clipUrl = null;
+    this.nightUrl = url;
+    if (url) this.player.load(url);
+  }
+
+  // Load one stored clip (event clip or sound-activated segment)
+  loadSegment(index) {
+    const clip = this.currentRecording.clips[index];
+    if (this.clipUrl) URL.revokeObjectURL(this.clipUrl);
+    this.clipUrl = URL.createObjectURL(clip.blob);
+    this.player.load(this.clipUrl);
+    this.currentSegmentIndex = index;
+  }
+
+  // Sound-activated and rolling nights play on through their segments, as
+  // one night; an event running past the end of a rolling file continues
+  // in the next one
+  playNextSegment() {
+    const recording = this.currentRecording;
+    const playingEvent = this.currentPlayingEventIndex !== null;
+    if (
+      !(recording?.soundActivated || recording?.segmented) ||
+      (playingEvent && !recording.segmented) ||
+      this.highlightsPlaying ||
+      this.currentSegmentIndex === null
+    ) {
+      return false;
+    }
+
+    const next = this.currentSegmentIndex + 1;
+    const clips = recording.clips || [];
+    if (next >= clips.length) return false;
+
+    const offset =
+      (clips[next].startTime - clips[this.currentSegmentIndex].startTime) /
+      1000;
+    this.loadSegment(next);
+    this.player.play();
+    if (playingEvent) {
+      this.currentEventEndTime -= offset;
+      return true;
+    }
+
+    const time = new Date(recording.timestamp + clips[next].startTime);
+    this.ui.showFeedback(
+      `▶️ Segment ${next + 1}/${clips.length} at ${time.toLocaleTimeString()}`,
+    );
+    return true;
+  }
+
+  // audio is the recording, or the files of a rolling recording
+  async analyzeAudio(audio, mimeType) {
     console.log(
-      `[App] Starting audio analysis (mimeType: ${mimeType || "uploaded file"})`,
+      `[App] Starting audio analysis (mimeType: ${mimeType || "unknown"})`,
     );
 
+    // The night being analyzed, even if another one is opened meanwhile
+    const recording = this.currentRecording;
+    const settings = this.analyzer.settings;
+
     try {
       this.ui.showFeedback("🔍 Analyzing audio for noise events...");
       this.ui.updateStatus("🔍 Scanning...", "recording");
 
       // Analyze the audio file
-      const { events, baseline, duration } = await this.analyzer.analyzeAudio(
-        audioBlob,
-        (progress) => {
-          // Progress callback (0-100)
-          console.log(`[App] Analysis progress: ${Math.round(progress)}%`);
-        },
-        (status) => {
-          // Status update callback
-          console.log(`[App] Status: ${status}`);
-          this.ui.updateStatus(`🔍 ${status}`, "recording");
-          this.ui.showFeedback(`🔍 ${status}`);
-        },
-      );
-
-      console.log(
-        `[App] Analysis complete: ${events.length} events, baseline: ${baseline.toFixed(1)} dB`,
-      );
-
-      // Update baseline display
-      if (baseline !== null && this.elements.baselineLevel) {
-        this.elements.baselineLevel.style.display = "block";
-        this.elements.baselineLevel.textContent = `Baseline: ${baseline.toFixed(1)} dB`;
-        console.log(`[App] Baseline displayed in UI`);
-      }
-
-      // Update UI with results
-      if (events.length > 0) {
-        console.log(`[App] Rendering ${events.length} events to UI`);
-        this.visualizer.updateEvents(events, duration);
-        this.visualizer.renderEventsList(events, (event, index) =>
-          this.playEvent(event, index),
+      const { events, baseline, baselineCurve, duration } =
+        await this.analyzer.analyzeAudio(
+          audio,
+          (progress) => {
+            // Progress callback (0-100, null while the length is unknown)
+            if (progress !== null) {
+              console.log(`[App] Analysis progress: ${Math.round(progress)}%`);
+            }
+          },
+          (status) => {
+            // Status update callback
+            console.log(`[App] Status: ${status}`);
+            this.ui.updateStatus(`🔍 ${status}`, "recording");
+            this.ui.showFeedback(`🔍 ${status}`);
+          },
         );
-        this.ui.showFeedback(`✅ Found ${events.length} noise event(s)!`);
 
-        // Update display mode buttons and switch to events
-        this.updateDisplayModeButtons();
-        this.setDisplayMode("events");
-        console.log(`[App] Switched to events view`);
-      } else {
-        this.ui.showFeedback("✅ No noise events detected");
-        console.log(`[App] No events detected`);
+      // Keep notes, labels and stars on events found again
+      if (recording?.events?.length) {
+        transferAnnotations(recording.events, events);
       }
 
-      this.ui.updateStatus("✅ Analysis complete!", "stopped");
+      this.showAnalysisResults({ events, baseline, baselineCurve, duration });
 
-      // Update cache if this was a recording (has mimeType)
-      if (mimeType) {
+      // Update cache if this was a saved recording
+      if (recording) {
         console.log(`[App] Saving to cache...`);
-        await this.saveRecordingToCache(audioBlob, mimeType, events);
+        await this.saveRecordingToCache(recording, {
+          events,
+          duration,
+          baseline,
+          settings,
+          analyzed: true,
+        });
         console.log(`[App] Cache updated`);
+        this.applyRetention();
       }
     } catch (error) {
       console.error("[App] Analysis Error:", error);
@@ -345,8 +1506,64 @@ class SleepRecorderApp {
     }
   }
 
+  showAnalysisResults({ events, baseline, baselineCurve, duration }) {
+    console.log(
+      `[App] Analysis complete: ${events.length} events, baseline: ${baseline.toFixed(1)} dB`,
+    );
+
+    // Update baseline display
+    this.baseline = baseline;
+    this.baselineCurve = baselineCurve;
+    this.audioDuration = duration;
+    if (baseline !== null && this.elements.baselineLevel) {
+      this.elements.baselineLevel.style.display = "block";
+      this.elements.baselineLevel.textContent = this.formatBaseline(
+        baseline,
+        baselineCurve,
+      );
+      console.log(`[App] Baseline displayed in UI`);
+    }
+
+    // Update UI with results
+    if (events.length > 0) {
+      console.log(`[App] Rendering ${events.length} events to UI`);
+      this.visualizer.updateEvents(events, duration);
+      this.visualizer.renderEventsList(events, (event, index) =>
+        this.playEvent(event, index),
+      );
+      this.ui.showFeedback(`✅ Found ${events.length} noise event(s)!`);
+
+      // Update display mode buttons and switch to events
+      this.updateDisplayModeButtons();
+      this.setDisplayMode("events");
+      console.log(`[App] Switched to events view`);
+    } else {
+      // Clear any events shown while recording
+      this.visualizer.updateEvents([], duration);
+      this.visualizer.renderEventsList([], null);
+      this.ui.showFeedback("✅ No noise events detected");
+      console.log(`[App] No events detected`);
+    }
+
+    this.ui.updateStatus("✅ Analysis complete!", "stopped");
+  }
+
+  formatBaseline(baseline, baselineCurve) {
+    const format = (db) => formatLevel(db, this.levelOffset);
+    if (!baselineCurve || baselineCurve.length < 2) {
+      return `Baseline: ${format(baseline)}`;
+    }
+
+    const values = baselineCurve.map((point) => point.baseline);
+    const min = Math.min(...values);
+    const max = Math.max(...values);
+    return `Baseline: ${format(baseline)} (${format(min)} to ${format(max)} over the night)`;
+  }
+
   updateDisplayModeButtons() {
-    const isRecording = this.recorder.isRecording();
+    // Waiting for a delayed start looks like recording
+    const isRecording =
+      this.recorder.isRecording() || this.recorder.isWaiting();
 
     // Freq/Wave buttons only visible while recording
     if (this.elements.bandsBtn) {
@@ -360,68 +1577,197 @@ class SleepRecorderApp {
         : "none";
     }
 
-    // Events button not available while recording
+    // Events fill in live while recording, settings only when stopped
     if (this.elements.eventsBtn) {
-      this.elements.eventsBtn.style.display = isRecording
+      this.elements.eventsBtn.style.display = "inline-block";
+    }
+    if (this.elements.settingsBtn) {
+      this.elements.settingsBtn.style.display = isRecording
+        ? "none"
+        : "inline-block";
+    }
+    if (this.elements.libraryBtn) {
+      this.elements.libraryBtn.style.display = isRecording
         ? "none"
         : "inline-block";
     }
 
+    this.settingsPanel.setReanalyzeEnabled(
+      !isRecording && !!this.getNightAudio(),
+    );
+
     // Auto-switch to appropriate view
     if (isRecording) {
       this.setDisplayMode("bands");
     }
   }
 
-  async saveRecordingToCache(blob, mimeType, events) {
+  async saveRecordingToCache(recording, changes = {}) {
+    Object.assign(recording, changes);
     try {
-      await this.recordingCache.saveRecording(blob, mimeType, events);
+      if (recording.inProgress) {
+        await this.recordingCache.finishSession(recording);
+      } else {
+        await this.recordingCache.saveRecording(recording);
+      }
       console.log("[Cache] Recording saved to IndexedDB");
     } catch (error) {
       console.error("[Cache] Failed to save recording:", error);
+      if (error && error.name === "QuotaExceededError") {
+        this.ui.showFeedback(
+          "❌ Storage full: download this recording or delete old nights in the Library",
+        );
+        this.ui.updateStatus("⚠️ Recording not saved (storage full)", "error");
+      }
     }
   }
 
+  // Load a stored night into the player and events list
+  openRecording(recording) {
+    // Create object URL and load into player; nights trimmed by the
+    // retention policy only have event clips, loaded when played
+    this.resetHighlights();
+    this.setNightUrl(
+      recording.blob ? URL.createObjectURL(recording.blob) : null,
+    );
+    this.currentRecording = recording;
+    this.currentSegmentIndex = null;
+    // Levels as calibrated when the night was recorded
+    this.setLevelOffset(recording.capture?.calibrationOffsetDb ?? null);
+    if (
+      (recording.soundActivated || recording.segmented) &&
+      recording.clips?.length
+    ) {
+      this.loadSegment(0);
+    } else if (!recording.blob) {
+      // Don't leave the previous night playing under these events
+      this.player.unload();
+    }
+    this.recordingBlob = recording.blob;
+    this.recordedMimeType = recording.mimeType;
+    this.currentPlayingEventIndex = null;
+    this.updateDisplayModeButtons();
+
+    // Show the night's own baseline (nights analyzed before it was stored
+    // have none)
+    this.baseline = recording.baseline ?? null;
+    this.baselineCurve = null;
+    if (this.elements.baselineLevel) {
+      const hasBaseline = this.baseline !== null;
+      this.elements.baselineLevel.style.display = hasBaseline
+        ? "block"
+        : "none";
+      if (hasBaseline) {
+        this.elements.baselineLevel.textContent = this.formatBaseline(
+          this.baseline,
+          null,
+        );
+      }
+    }
+
+    // Player duration is unknown for WebM recordings, prefer the stored one
+    const events = recording.events || [];
+    const duration =
+      recording.duration ||
+      (recording.blob ? this.player.getDuration() * 1000 : 0);
+    this.audioDuration = duration || null;
+    this.visualizer.updateEvents(events, duration);
+    this.visualizer.renderEventsList(events, (event, index) =>
+      this.playEvent(event, index),
+    );
+
+    // Enable relevant buttons
+    this.ui.setButtonStates({
+      record: true,
+      stop: false,
+      download: !!this.getArchiveAudio(),
+      upload: true,
+    });
+  }
+
   async restoreCachedRecording() {
     try {
-      const cached = await this.recordingCache.getLatestRecording();
+      // A night interrupted by a crash or a killed tab takes precedence
+      const recovered = await this.recoverInterruptedRecording();
+
+      const cached = recovered
+        ? null
+        : await this.recordingCache.getLatestRecording();
       if (cached) {
         console.log(
           "[Cache] Restoring cached recording from",
           new Date(cached.timestamp),
         );
+        this.openRecording(cached);
 
-        // Create object URL and load into player
-        const url = URL.createObjectURL(cached.blob);
-        this.player.load(url);
-        this.recordingBlob = cached.blob;
-        this.recordedMimeType = cached.mimeType;
-
-        // Restore events if available
         if (cached.events && cached.events.length > 0) {
-          const duration = this.player.getDuration() * 1000;
-          this.visualizer.updateEvents(cached.events, duration);
-          this.visualizer.renderEventsList(cached.events, (event, index) =>
-            this.playEvent(event, index),
-          );
           this.ui.showFeedback(
             `📦 Restored recording with ${cached.events.length} event(s)`,
           );
         } else {
           this.ui.showFeedback("📦 Restored cached recording");
         }
-
-        // Enable relevant buttons
-        this.ui.setButtonStates({
-          record: true,
-          stop: false,
-          download: true,
-          upload: true,
-        });
       }
     } catch (error) {
       console.error("[Cache] Failed to restore recording:", error);
     }
+
+    // The old schema is still usable, but newer features may fail
+    if (this.recordingCache.upgradeError) {
+      this.ui.showFeedback(
+        "⚠️ Storage upgrade failed: saved nights are unchanged, but download important recordings",
+      );
+    }
+
+    this.applyRetention();
+  }
+
+  async recoverInterruptedRecording() {
+    const sessions = await this.recordingCache.getInterruptedSessions();
+    let recovered = null;
+
+    for (const session of sessions) {
+      try {
+        const recording = await this.recordingCache.recoverSession(session.id);
+        if (
+          recording &&
+          (!recovered || recording.timestamp > recovered.timestamp)
+        ) {
+          recovered = recording;
+        }
+      } catch (error) {
+        console.error(`[Cache] Failed to recover ${session.id}:`, error);
+      }
+    }
+
+    if (!recovered) return false;
+
+    console.log(
+      "[Cache] Recovered interrupted recording from",
+      new Date(recovered.timestamp),
+    );
+    this.openRecording(recovered);
+    this.ui.showFeedback("🩹 Recovered an interrupted recording");
+
+    // Segments can't be analyzed after the fact, only compressed
+    if (recovered.soundActivated) {
+      this.compressSegments(recovered);
+      return true;
+    }
+
+    const minutes = Math.round(recovered.duration / 60000);
+    const started = new Date(recovered.timestamp).toLocaleString();
+    if (
+      confirm(
+        `The recording started ${started} was interrupted after about ${minutes} min. It has been recovered. Analyze it now?`,
+      )
+    ) {
+      this.analyzeAudio(
+        recovered.segmented ? recovered.clips : recovered.blob,
+        recovered.mimeType,
+      );
+    }
+    return true;
   }
 }
 
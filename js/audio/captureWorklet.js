@@ -0,0 +1,34 @@
+// AudioWorklet processor forwarding raw microphone samples to the main thread
+// Batches render quanta so the main thread gets ~10 messages per second
+
+const BATCH_SIZE = 4096;
+
+class CaptureProcessor extends AudioWorkletProcessor {
+  constructor() {
+    super();
+    this.buffer = new Float32Array(BATCH_SIZE);
+    this.length = 0;
+  }
+
+  process(inputs) {
+    const channel = inputs[0] && inputs[0][0];
+    if (!channel) return true; // No input yet (or track ended)
+
+    let offset = 0;
+    while (offset < channel.length) {
+      const count = Math.min(channel.length - offset, BATCH_SIZE - this.length);
+      this.buffer.set(channel.subarray(offset, offset + count), this.length);
+      this.length += count;
+      offset += count;
+
+      if (this.length === BATCH_SIZE) {
+        this.port.postMessage(this.buffer, [this.buffer.buffer]);
+        this.buffer = new Float32Array(BATCH_SIZE);
+        this.length = 0;
+      }
+    }
+    return true;
+  }
+}
+
+registerProcessor("capture-processor", CaptureProcessor);
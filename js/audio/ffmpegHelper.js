@@ -6,6 +6,9 @@ let ffmpeg = null;
 let isLoading = false;
 let loadPromise = null;
 
+const CLIP_BITRATE = "32k"; // Opus bitrate for kept event clips
+const CHUNK_SAMPLE_RATE = 48000; // Hz, for analysis chunks
+
 /**
  * Initialize FFmpeg instance (singleton pattern)
  * Downloads ~30MB of WASM files on first call
@@ -64,133 +67,244 @@ export async function initFFmpeg() {
   return loadPromise;
 }
 
+let sessionCounter = 0;
+let execQueue = Promise.resolve(); // Commands on the shared instance, in order
+
 /**
- * Extract a specific time range from an audio file
- *
- * @param {Blob} audioBlob - Source audio file (any format)
- * @param {number} startSeconds - Start time in seconds
- * @param {number} durationSeconds - Duration to extract in seconds
- * @returns {Promise<Blob>} WAV audio blob of the extracted chunk
+ * One audio file loaded into FFmpeg for several operations
+ * The input is mounted (WORKERFS, no copy) or written once on open() and
+ * removed on close(), instead of being copied into WASM memory per call
  */
-export async function extractAudioChunk(
-  audioBlob,
-  startSeconds,
-  durationSeconds,
-) {
-  const ffmpeg = await initFFmpeg();
-
-  // Determine input format from blob type
-  const mimeType = audioBlob.type || "audio/mp4";
-  const extension = mimeType.includes("webm")
-    ? "webm"
-    : mimeType.includes("mpeg")
-      ? "mp3"
-      : mimeType.includes("wav")
-        ? "wav"
-        : "m4a";
+export class FFmpegSession {
+  /**
+   * @param {Blob} audioBlob - Source audio file (any format)
+   */
+  constructor(audioBlob) {
+    this.audioBlob = audioBlob;
+    this.ffmpeg = null;
+    this.id = ++sessionCounter;
+    this.mountPoint = `/session${this.id}`;
+    this.inputFileName = null;
+    this.mounted = false;
+    this.openedAt = null;
+    this.extractCount = 0;
+  }
+
+  async open() {
+    this.ffmpeg = await initFFmpeg();
+    this.openedAt = performance.now();
+    const name = `input.${getExtension(this.audioBlob)}`;
 
-  const inputFileName = `input.${extension}`;
-  const outputFileName = "output.wav";
-
-  try {
-    // Write input file to FFmpeg's virtual filesystem
-    await ffmpeg.writeFile(inputFileName, await fetchFile(audioBlob));
-
-    // Extract chunk and convert to WAV
-    // -ss: seek to start position, -t: duration, -acodec: 32-bit float PCM
-    await ffmpeg.exec([
-      "-ss",
-      startSeconds.toString(),
-      "-i",
-      inputFileName,
-      "-t",
-      durationSeconds.toString(),
-      "-acodec",
-      "pcm_f32le",
-      "-ar",
-      "48000",
-      "-f",
-      "wav",
-      outputFileName,
-    ]);
-
-    // Read output file
-    const data = await ffmpeg.readFile(outputFileName);
-
-    // Cleanup virtual filesystem
-    await ffmpeg.deleteFile(inputFileName);
-    await ffmpeg.deleteFile(outputFileName);
-
-    return new Blob([data.buffer], { type: "audio/wav" });
-  } catch (error) {
-    // Cleanup on error
     try {
-      await ffmpeg.deleteFile(inputFileName).catch(() => {});
-      await ffmpeg.deleteFile(outputFileName).catch(() => {});
-    } catch {}
+      // Mount the blob read-only: FFmpeg reads it in place
+      await this.ffmpeg.createDir(this.mountPoint);
+      await this.ffmpeg.mount(
+        "WORKERFS",
+        { blobs: [{ name, data: this.audioBlob }] },
+        this.mountPoint,
+      );
+      this.mounted = true;
+      this.inputFileName = `${this.mountPoint}/${name}`;
+    } catch (error) {
+      // Older cores without WORKERFS: copy into memory, but only once
+      console.warn("[FFmpeg] Mount failed, writing input instead:", error);
+      await this.ffmpeg.deleteDir(this.mountPoint).catch(() => {});
+      this.inputFileName = `session${this.id}-${name}`;
+      await this.ffmpeg.writeFile(
+        this.inputFileName,
+        await fetchFile(this.audioBlob),
+      );
+    }
 
-    throw new Error(`FFmpeg extraction failed: ${error.message}`);
+    console.log(
+      `[FFmpeg] Session ${this.id} opened (${this.mounted ? "mounted" : "copied"}, ${(this.audioBlob.size / 1024 / 1024).toFixed(1)} MB)`,
+    );
+    return this;
   }
-}
 
-/**
- * Get audio file duration without full decode
- * Useful for determining total chunks needed
- *
- * @param {Blob} audioBlob - Source audio file
- * @returns {Promise<number>} Duration in seconds
- */
-export async function getAudioDuration(audioBlob) {
-  const ffmpeg = await initFFmpeg();
+  /**
+   * Extract a specific time range
+   *
+   * @param {number} startSeconds - Start time in seconds
+   * @param {number} durationSeconds - Duration to extract in seconds
+   * @param {number} [sampleRate] - Output sample rate in Hz
+   * @returns {Promise<Blob>} WAV audio blob of the extracted chunk
+   */
+  async extractChunk(
+    startSeconds,
+    durationSeconds,
+    sampleRate = CHUNK_SAMPLE_RATE,
+  ) {
+    this.assertOpen();
+    const outputFileName = `session${this.id}-output.wav`;
 
-  const mimeType = audioBlob.type || "audio/mp4";
-  const extension = mimeType.includes("webm")
-    ? "webm"
-    : mimeType.includes("mpeg")
-      ? "mp3"
-      : mimeType.includes("wav")
-        ? "wav"
-        : "m4a";
+    try {
+      // Extract chunk and convert to WAV
+      // -ss: seek to start position, -t: duration, -acodec: 32-bit float PCM
+      await this.exec([
+        "-ss",
+        startSeconds.toString(),
+        "-i",
+        this.inputFileName,
+        "-t",
+        durationSeconds.toString(),
+        "-acodec",
+        "pcm_f32le",
+        "-ar",
+        sampleRate.toString(),
+        "-f",
+        "wav",
+        outputFileName,
+      ]);
+
+      const data = await this.ffmpeg.readFile(outputFileName);
+      this.extractCount++;
+      return new Blob([data.buffer], { type: "audio/wav" });
+    } catch (error) {
+      throw new Error(`FFmpeg extraction failed: ${error.message}`);
+    } finally {
+      await this.ffmpeg.deleteFile(outputFileName).catch(() => {});
+    }
+  }
 
-  const inputFileName = `probe.${extension}`;
+  /**
+   * Encode a time range as a small Opus clip, for keeping single events
+   *
+   * @param {number} startSeconds - Start time in seconds
+   * @param {number} durationSeconds - Duration to encode in seconds
+   * @returns {Promise<Blob>} WebM/Opus audio blob
+   */
+  async encodeClip(startSeconds, durationSeconds) {
+    this.assertOpen();
+    const outputFileName = `session${this.id}-clip.webm`;
 
-  try {
-    await ffmpeg.writeFile(inputFileName, await fetchFile(audioBlob));
+    try {
+      await this.exec([
+        "-ss",
+        startSeconds.toString(),
+        "-i",
+        this.inputFileName,
+        "-t",
+        durationSeconds.toString(),
+        "-vn",
+        "-c:a",
+        "libopus",
+        "-b:a",
+        CLIP_BITRATE,
+        "-f",
+        "webm",
+        outputFileName,
+      ]);
+
+      const data = await this.ffmpeg.readFile(outputFileName);
+      return new Blob([data.buffer], { type: "audio/webm" });
+    } catch (error) {
+      throw new Error(`FFmpeg clip encoding failed: ${error.message}`);
+    } finally {
+      await this.ffmpeg.deleteFile(outputFileName).catch(() => {});
+    }
+  }
+
+  /**
+   * Get the duration from the container metadata
+   * MediaRecorder WebM files carry no duration, in which case this returns null
+   *
+   * @returns {Promise<number|null>} Duration in seconds, or null if unknown
+   */
+  async getDuration() {
+    this.assertOpen();
+
+    // "Duration: N/A" when unknown
+    return this.execForLog(
+      ["-i", this.inputFileName],
+      /Duration: (\d{2}):(\d{2}):(\d{2}\.\d{2})/,
+    );
+  }
 
-    // Use ffprobe-like command to get duration
-    let duration = null;
+  async close() {
+    if (!this.ffmpeg) return;
+
+    if (this.mounted) {
+      await this.ffmpeg.unmount(this.mountPoint).catch(() => {});
+      await this.ffmpeg.deleteDir(this.mountPoint).catch(() => {});
+    } else if (this.inputFileName) {
+      await this.ffmpeg.deleteFile(this.inputFileName).catch(() => {});
+    }
+
+    const elapsed = (performance.now() - this.openedAt) / 1000;
+    console.log(
+      `[FFmpeg] Session ${this.id} closed: ${this.extractCount} chunk(s) in ${elapsed.toFixed(1)}s`,
+    );
+    this.ffmpeg = null;
+    this.inputFileName = null;
+    this.mounted = false;
+  }
 
-    // Capture log output to extract duration
+  // The shared instance has one global "log" event: queue commands from all
+  // sessions so a log listener only hears its own command
+  exec(args, onLog = null) {
+    const run = execQueue.then(async () => {
+      if (onLog) this.ffmpeg.on("log", onLog);
+      try {
+        return await this.ffmpeg.exec(args);
+      } finally {
+        if (onLog) this.ffmpeg.off("log", onLog);
+      }
+    });
+    execQueue = run.catch(() => {});
+    return run;
+  }
+
+  // Run FFmpeg and return the last timestamp matched in its log, in seconds
+  async execForLog(args, pattern) {
+    let seconds = null;
     const logHandler = ({ message }) => {
-      const match = message.match(/Duration: (\d{2}):(\d{2}):(\d{2}\.\d{2})/);
+      const match = message.match(pattern);
       if (match) {
-        const hours = parseInt(match[1]);
-        const minutes = parseInt(match[2]);
-        const seconds = parseFloat(match[3]);
-        duration = hours * 3600 + minutes * 60 + seconds;
+        seconds = parseTimestamp(match);
       }
     };
 
-    ffmpeg.on("log", logHandler);
-
-    await ffmpeg.exec(["-i", inputFileName]);
-
-    ffmpeg.off("log", logHandler);
+    // Probing without an output file exits with an error, but the log
+    // still has what we need
+    await this.exec(args, logHandler).catch(() => {});
+    return seconds;
+  }
 
-    await ffmpeg.deleteFile(inputFileName);
+  assertOpen() {
+    if (!this.ffmpeg || !this.inputFileName) {
+      throw new Error("FFmpeg session is not open");
+    }
+  }
+}
 
-    return duration;
-  } catch (error) {
-    // FFmpeg returns error when just probing, but logs contain duration
-    try {
-      await ffmpeg.deleteFile(inputFileName).catch(() => {});
-    } catch {}
+/**
+ * Open an FFmpeg session for an audio file
+ * Callers must close() it, preferably in a finally block
+ *
+ * @param {Blob} audioBlob - Source audio file
+ * @returns {Promise<FFmpegSession>}
+ */
+export async function openFFmpegSession(audioBlob) {
+  return new FFmpegSession(audioBlob).open();
+}
 
-    // If we captured duration from logs, return it despite "error"
-    if (duration !== null) {
-      return duration;
-    }
+// FFmpeg input file extension from the blob's MIME type
+function getExtension(audioBlob) {
+  const mimeType = audioBlob.type || "audio/mp4";
+  return mimeType.includes("webm")
+    ? "webm"
+    : mimeType.includes("mpeg")
+      ? "mp3"
+      : mimeType.includes("wav")
+        ? "wav"
+        : "m4a";
+}
 
-    throw new Error(`Failed to get audio duration: ${error.message}`);
-  }
+// Seconds from an HH:MM:SS.ss regex match
+function parseTimestamp(match) {
+  const hours = parseInt(match[1]);
+  const minutes = parseInt(match[2]);
+  const seconds = parseFloat(match[3]);
+  return hours * 3600 + minutes * 60 + seconds;
 }
@@ -0,0 +1,141 @@
+// "Night highlights": all selected events back to back in one Opus track,
+// separated by a short chime
+import { openFFmpegSession } from "./ffmpegHelper.js";
+import { decodeWav } from "./wavDecoder.js";
+import { createWavBlob, toPcm16 } from "./wavEncoder.js";
+import { findEventClip } from "../storage/recordingCache.js";
+
+const SAMPLE_RATE = 24000; // Hz; plenty for speech and snoring, half the memory
+const MAX_SEGMENT_SECONDS = 30; // Longer events contribute their start only
+const FADE_SECONDS = 0.02; // Avoids clicks at the cuts
+const CHIME_FREQUENCY = 880; // Hz
+const CHIME_SECONDS = 0.15;
+const CHIME_LEVEL = 0.2;
+const GAP_SECONDS = 0.4; // Silence after the chime
+
+/**
+ * Build the highlights track
+ *
+ * @param {Object} source - Where the audio comes from
+ * @param {Blob} [source.audioBlob] - Full recording
+ * @param {Array} [source.clips] - Stored event clips of a trimmed night, or
+ *   segments of a sound-activated or rolling night
+ * @param {Array<{index: number, event: Object}>} entries - Events in play order
+ * @param {Function} [onProgress] - (done, total) before each event
+ * @returns {Promise<{blob: Blob, segments: Array<{index, start, end}>, duration: number}>}
+ *   segments map each event to its place in the track (seconds); blob is
+ *   WebM/Opus
+ */
+export async function buildHighlights(source, entries, onProgress) {
+  const parts = [];
+  const segments = [];
+  const separator = createSeparator();
+  let position = 0; // Seconds into the track
+  let fullSession = null;
+
+  try {
+    for (const [i, { index, event }] of entries.entries()) {
+      if (onProgress) onProgress(i, entries.length);
+
+      const durationSeconds = Math.min(
+        (event.endTime - event.startTime) / 1000,
+        MAX_SEGMENT_SECONDS,
+      );
+
+      let samples = null;
+      if (source.audioBlob) {
+        // Opened on first use, shared by all events
+        if (!fullSession) {
+          fullSession = await openFFmpegSession(source.audioBlob);
+        }
+        samples = await extractSamples(
+          fullSession,
+          event.startTime / 1000,
+          durationSeconds,
+        );
+      } else {
+        const clip = findEventClip(source.clips, event);
+        if (clip) {
+          const clipSession = await openFFmpegSession(clip.blob);
+          try {
+            samples = await extractSamples(
+              clipSession,
+              Math.max(0, event.startTime - clip.startTime) / 1000,
+              durationSeconds,
+            );
+          } finally {
+            await clipSession.close();
+          }
+        }
+      }
+      if (!samples || samples.length === 0) continue; // Audio not kept
+
+      if (parts.length > 0) {
+        parts.push(separator);
+        position += separator.length / SAMPLE_RATE;
+      }
+      fade(samples);
+      parts.push(toPcm16(samples));
+
+      const length = samples.length / SAMPLE_RATE;
+      segments.push({ index, start: position, end: position + length });
+      position += length;
+    }
+  } finally {
+    if (fullSession) await fullSession.close();
+  }
+
+  if (segments.length === 0) {
+    throw new Error("Audio for these events was not kept");
+  }
+
+  // Assembled as 16-bit WAV, then compressed in one pass
+  const wav = createWavBlob(parts, SAMPLE_RATE);
+  const encodeSession = await openFFmpegSession(wav);
+  try {
+    const blob = await encodeSession.encodeClip(0, position);
+    console.log(
+      `[Highlights] ${segments.length} event(s), ${position.toFixed(1)}s, ${(blob.size / 1024).toFixed(0)} KB`,
+    );
+    return { blob, segments, duration: position };
+  } finally {
+    await encodeSession.close();
+  }
+}
+
+async function extractSamples(session, startSeconds, durationSeconds) {
+  const wav = await session.extractChunk(
+    startSeconds,
+    durationSeconds,
+    SAMPLE_RATE,
+  );
+  return decodeWav(await wav.arrayBuffer()).channelData;
+}
+
+// Chime followed by silence, as 16-bit PCM
+function createSeparator() {
+  const samples = new Float32Array(
+    Math.round((CHIME_SECONDS + GAP_SECONDS) * SAMPLE_RATE),
+  );
+  const chimeLength = Math.round(CHIME_SECONDS * SAMPLE_RATE);
+  for (let i = 0; i < chimeLength; i++) {
+    const envelope = Math.sin((Math.PI * i) / chimeLength); // Soft attack and decay
+    samples[i] =
+      CHIME_LEVEL *
+      envelope *
+      Math.sin((2 * Math.PI * CHIME_FREQUENCY * i) / SAMPLE_RATE);
+  }
+  return toPcm16(samples);
+}
+
+function fade(samples) {
+  const length = Math.min(
+    Math.round(FADE_SECONDS * SAMPLE_RATE),
+    Math.floor(samples.length / 2),
+  );
+  for (let i = 0; i < length; i++) {
+    const gain = i / length;
+    samples[i] *= gain;
+    samples[samples.length - 1 - i] *= gain;
+  }
+}
@@ -0,0 +1,102 @@
+// Room level measurement for microphone calibration, and level formatting
+// Levels from the analyzer are dBFS; a calibration offset turns them into
+// approximate dB SPL
+
+const MEASURE_INTERVAL_MS = 50; // Same step as the detection samples
+const FLOOR_PERCENTILE = 0.5; // Median: ignores a short cough or click
+const SILENCE_DB = -100;
+
+/**
+ * Measure the level of the quiet room
+ *
+ * @param {MediaTrackConstraints|boolean} audioConstraints - Same microphone
+ *   and processing as the recordings
+ * @param {number} durationMs
+ * @param {Function} [onProgress] - (secondsLeft) => void
+ * @returns {Promise<{levelDb: number, deviceId: string|null, device: string|null}>}
+ *   levelDb in dBFS
+ */
+export async function measureRoomLevel(
+  audioConstraints,
+  durationMs,
+  onProgress,
+) {
+  if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
+    throw new Error("Your browser doesn't support audio recording");
+  }
+
+  const stream = await navigator.mediaDevices.getUserMedia({
+    audio: audioConstraints,
+  });
+  const track = stream.getAudioTracks()[0];
+  const settings = track && track.getSettings ? track.getSettings() : {};
+  const audioContext = new (window.AudioContext || window.webkitAudioContext)();
+
+  try {
+    const analyser = audioContext.createAnalyser();
+    analyser.fftSize = 2048;
+    audioContext.createMediaStreamSource(stream).connect(analyser);
+    const samples = new Float32Array(analyser.fftSize);
+    const levels = [];
+
+    await new Promise((resolve) => {
+      const startTime = Date.now();
+      const interval = setInterval(() => {
+        analyser.getFloatTimeDomainData(samples);
+        levels.push(getLevelDb(samples));
+
+        const elapsed = Date.now() - startTime;
+        if (onProgress) {
+          onProgress(Math.max(0, Math.ceil((durationMs - elapsed) / 1000)));
+        }
+        if (elapsed >= durationMs) {
+          clearInterval(interval);
+          resolve();
+        }
+      }, MEASURE_INTERVAL_MS);
+    });
+
+    levels.sort((a, b) => a - b);
+    const levelDb = levels[Math.floor((levels.length - 1) * FLOOR_PERCENTILE)];
+    console.log(
+      `[LevelMeter] Room level ${levelDb.toFixed(1)} dBFS over ${levels.length} samples`,
+    );
+    return {
+      levelDb,
+      deviceId: settings.deviceId ?? null,
+      device: (track && track.label) || null,
+    };
+  } finally {
+    stream.getTracks().forEach((t) => t.stop());
+    audioContext.close();
+  }
+}
+
+/**
+ * Format a level for display
+ *
+ * @param {number} db - Level in dBFS
+ * @param {number|null} offsetDb - Calibration offset, null if uncalibrated
+ * @returns {string} "≈38 dB SPL" when calibrated, else "-52.1 dBFS"
+ */
+export function formatLevel(db, offsetDb) {
+  if (offsetDb === null || offsetDb === undefined) {
+    return `${db.toFixed(1)} dBFS`;
+  }
+  return `≈${Math.round(db + offsetDb)} dB SPL`;
+}
+
+/**
+ * RMS level of a block of samples
+ *
+ * @param {Float32Array} samples
+ * @returns {number} Level in dBFS, -100 for silence
+ */
+export function getLevelDb(samples) {
+  let sum = 0;
+  for (let i = 0; i < samples.length; i++) {
+    sum += samples[i] * samples[i];
+  }
+  const rms = Math.sqrt(sum / samples.length);
+  return rms > 0 ? Math.max(SILENCE_DB, 20 * Math.log10(rms)) : SILENCE_DB;
+}
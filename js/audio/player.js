@@ -32,6 +32,14 @@ export class AudioPlayer {
     this.audioElement.src = url;
   }
 
+  // Stop and drop the loaded audio, e.g. for a night with nothing to play
+  unload() {
+    this.audioElement.pause();
+    this.audioElement.removeAttribute("src");
+    this.audioElement.load();
+    this.url = null;
+  }
+
   setupAudioContext() {
     if (!this.audioContext) {
       this.audioContext = new (window.AudioContext ||
@@ -1,3 +1,5 @@
+import { SegmentRecorder } from "./segmentRecorder.js";
+
 // Constants for audio recorder
 const FFT_SIZE = 2048;
 const DATA_INTERVAL_MS = 1000;
@@ -7,21 +9,61 @@ const MS_TO_SECONDS = 1000;
 export class AudioRecorder {
   constructor() {
     this.mediaRecorder = null;
-    this.chunks = [];
     this.stream = null;
     this.audioContext = null;
     this.analyser = null;
     this.startTime = null;
     this.timerInterval = null;
-    this.onStop = null;
+    this.onStop = null; // (url, blob, mimeType, segments); segments, no blob, when sound-activated or rolling (times only, files are in the saved chunks)
     this.onError = null;
     this.onTimer = null;
+    this.onAudioData = null; // (samples, sampleRate) => void, for live analysis
+    this.onStart = null; // (mimeType) => void, before the first chunk
+    this.onChunk = null; // (blob, index, {segment, segmentStart}) => void, for incremental saving
+    this.captureNode = null; // AudioWorkletNode forwarding raw samples
     this.mimeType = null;
     this.silentAudio = null; // Keep-awake audio element
     this.wakeLock = null; // Screen Wake Lock API
+    this.onCountdown = null; // (secondsLeft) => void, while waiting to start
+    this.onScheduledStop = null; // () => void, once the stop time is reached
+    this.scheduledStart = null; // ms since epoch, while waiting to start
+    this.scheduledStop = null; // ms since epoch, while recording
+    this.stopAt = null; // Requested stop time (ms since epoch)
+    this.maxDurationMs = 0; // 0 = no limit
+    this.onSegment = null; // (segment, index) => void, sound-activated mode
+    this.soundActivation = null; // SegmentRecorder options, null = record all
+    this.segmentRecorder = null; // Writes segments while recording
+    this.segments = []; // Segments of a sound-activated night, or {startTime, endTime} of rolling files
+    this.captureSettings = null; // Microphone and processing actually used
+    this.segmentDurationMs = 0; // Rolling file length, 0 = one file
+    this.segmentStops = []; // One promise per MediaRecorder, until its file is complete
+    this.chunkCount = 0; // MediaRecorder chunks over all rolling files
   }
 
-  async start() {
+  /**
+   * Open the microphone and start recording, now or after a delay
+   * The microphone is opened (and permission asked) right away either way
+   *
+   * @param {Object} [schedule]
+   * @param {number} [schedule.delayMs] - Wait this long before recording
+   * @param {number|null} [schedule.stopAt] - Stop time (ms since epoch)
+   * @param {number} [schedule.maxDurationMs] - Stop after recording this long
+   * @param {Object|null} [schedule.soundActivation] - SegmentRecorder
+   *   options to keep only noisy segments instead of the whole night
+   * @param {MediaTrackConstraints|boolean} [schedule.audioConstraints] -
+   *   Microphone and processing to ask getUserMedia for
+   * @param {number} [schedule.segmentDurationMs] - Roll over to a new file
+   *   this often (continuous recording), 0 = one file for the night
+   * @returns {Promise<AnalyserNode>}
+   */
+  async start({
+    delayMs = 0,
+    stopAt = null,
+    maxDurationMs = 0,
+    soundActivation = null,
+    audioConstraints = true,
+    segmentDurationMs = 0,
+  } = {}) {
     // Check browser compatibility
     if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
       throw new Error(
@@ -30,19 +72,127 @@ export class AudioRecorder {
     }
 
     this.stream = await navigator.mediaDevices.getUserMedia({
-      audio: true,
+      audio: audioConstraints,
     });
+    this.captureSettings = this.readCaptureSettings();
 
-    // Set up Web Audio API for real-time analysis
-    this.audioContext = new (window.AudioContext ||
-      window.webkitAudioContext)();
+    // Set up Web Audio API for real-time analysis; a requested sample rate
+    // is kept through the graph (Firefox can't mix rates)
+    const captureRate =
+      audioConstraints.sampleRate && this.captureSettings.sampleRate;
+    this.audioContext = new (window.AudioContext || window.webkitAudioContext)(
+      captureRate ? { sampleRate: captureRate } : undefined,
+    );
     this.analyser = this.audioContext.createAnalyser();
     this.analyser.fftSize = FFT_SIZE;
     const source = this.audioContext.createMediaStreamSource(this.stream);
     source.connect(this.analyser);
 
-    this.chunks = [];
+    // Forward raw samples for live event detection
+    try {
+      const sampleRate = this.audioContext.sampleRate;
+      await this.audioContext.audioWorklet.addModule(
+        new URL("./captureWorklet.js", import.meta.url),
+      );
+      this.captureNode = new AudioWorkletNode(
+        this.audioContext,
+        "capture-processor",
+        { numberOfOutputs: 0 },
+      );
+      this.captureNode.port.onmessage = ({ data }) => {
+        // Samples before a delayed start are not part of the recording
+        if (!this.isRecording()) return;
+
+        if (this.segmentRecorder) {
+          this.segmentRecorder.addSamples(data);
+        }
+        if (this.onAudioData) {
+          this.onAudioData(data, sampleRate);
+        }
+      };
+      source.connect(this.captureNode);
+    } catch (err) {
+      console.warn("[Recorder] Live capture not available:", err);
+      this.captureNode = null;
+    }
+
+    // Segments are cut from the worklet's samples
+    this.soundActivation = soundActivation;
+    if (soundActivation && !this.captureNode) {
+      console.warn("[Recorder] No live capture, recording the whole night");
+      this.soundActivation = null;
+    }
+
+    await this.keepAwake();
+
+    this.stopAt = stopAt;
+    this.maxDurationMs = maxDurationMs;
+    this.segmentDurationMs = this.soundActivation ? 0 : segmentDurationMs;
+    this.timerInterval = setInterval(
+      () => this.tick(),
+      TIMER_UPDATE_INTERVAL_MS,
+    );
+
+    if (delayMs > 0) {
+      this.scheduledStart = Date.now() + delayMs;
+      console.log(
+        `[Recorder] Recording starts at ${new Date(this.scheduledStart).toLocaleTimeString()}`,
+      );
+    } else {
+      this.startRecording();
+    }
+
+    return this.analyser;
+  }
 
+  // Start recording on the open stream
+  startRecording() {
+    this.scheduledStart = null;
+
+    if (this.soundActivation) {
+      this.startSegmentRecorder();
+    } else {
+      this.startMediaRecorder();
+    }
+    this.startTime = Date.now();
+
+    // The earlier of the alarm time and the maximum duration
+    const stops = [this.stopAt];
+    if (this.maxDurationMs > 0) {
+      stops.push(this.startTime + this.maxDurationMs);
+    }
+    const validStops = stops.filter((time) => time !== null);
+    this.scheduledStop = validStops.length ? Math.min(...validStops) : null;
+    if (this.scheduledStop !== null) {
+      console.log(
+        `[Recorder] Recording stops at ${new Date(this.scheduledStop).toLocaleTimeString()}`,
+      );
+    }
+
+    if (this.onStart) {
+      this.onStart(this.mimeType);
+    }
+  }
+
+  startSegmentRecorder() {
+    this.mimeType = "audio/wav";
+    this.segments = [];
+    this.segmentRecorder = new SegmentRecorder(
+      this.soundActivation,
+      this.audioContext.sampleRate,
+    );
+    this.segmentRecorder.onSegment = (segment) => {
+      this.segments.push(segment);
+      if (this.onSegment) {
+        this.onSegment(segment, this.segments.length - 1);
+      }
+    };
+    console.log(
+      `[Recorder] Sound-activated, segments start above ${this.soundActivation.triggerLevelDb} dB`,
+    );
+  }
+
+  startMediaRecorder() {
     // Try to use audio/mp4 (AAC) if supported, otherwise fall back to webm
     this.mimeType = "audio/webm";
     if (MediaRecorder.isTypeSupported("audio/mp4")) {
@@ -51,45 +201,155 @@ export class AudioRecorder {
       this.mimeType = "audio/webm;codecs=opus";
     }
 
-    this.mediaRecorder = new MediaRecorder(this.stream, {
+    this.segments = [];
+    this.segmentStops = [];
+    this.chunkCount = 0;
+    this.startSegment(0);
+  }
+
+  /**
+   * Start a MediaRecorder writing the next file of the night
+   * Each file has its own header, so it decodes without the others
+   *
+   * @param {number} startTime - ms since the recording started
+   */
+  startSegment(startTime) {
+    const segment = { startTime, endTime: null };
+    const details = { segment: this.segments.length, segmentStart: startTime };
+    const chunks = []; // Only the open file's chunks are held here
+    const mediaRecorder = new MediaRecorder(this.stream, {
       mimeType: this.mimeType,
     });
 
-    this.mediaRecorder.ondataavailable = (e) => {
-      this.chunks.push(e.data);
+    mediaRecorder.ondataavailable = (e) => {
+      chunks.push(e.data);
+      if (this.onChunk) {
+        this.onChunk(e.data, this.chunkCount, details);
+      }
+      this.chunkCount++;
     };
 
-    this.mediaRecorder.onstop = () => {
-      const blob = new Blob(this.chunks, { type: this.mimeType });
-      const url = URL.createObjectURL(blob);
+    this.segmentStops.push(
+      new Promise((resolve) => {
+        // Closed rolling files are only kept in the saved chunks, so memory
+        // doesn't grow with the night
+        mediaRecorder.onstop = () => {
+          resolve(
+            this.isSegmented()
+              ? null
+              : new Blob(chunks, { type: this.mimeType }),
+          );
+        };
+      }),
+    );
 
-      if (this.timerInterval) {
-        clearInterval(this.timerInterval);
-        this.timerInterval = null;
+    mediaRecorder.onerror = (e) => {
+      if (this.onError) {
+        this.onError(e.error);
       }
+    };
+
+    mediaRecorder.start(DATA_INTERVAL_MS);
+    this.segments.push(segment);
+    this.mediaRecorder = mediaRecorder;
+  }
+
+  // Close the open file and continue in a new one; the next MediaRecorder
+  // starts before the previous one stops, so no audio falls in between
+  rollSegment(now) {
+    const previous = this.mediaRecorder;
+    const startTime = now - this.startTime;
+    this.segments[this.segments.length - 1].endTime = startTime;
+    this.startSegment(startTime);
+    previous.stop();
+    console.log(
+      `[Recorder] File ${this.segments.length} starts at ${(startTime / 60000).toFixed(1)} min`,
+    );
+  }
+
+  // Called once every MediaRecorder has delivered its file; blob is only
+  // set for a single-file night
+  finishMediaRecording(blob) {
+    if (!this.onStop) return;
+
+    if (this.isSegmented()) {
+      this.onStop(null, null, this.mimeType, this.segments);
+    } else {
+      this.onStop(URL.createObjectURL(blob), blob, this.mimeType);
+    }
+  }
+
+  // Record the rest of the night in one file held in memory, for when its
+  // chunks can't be saved; only possible before the first roll
+  stopRolling() {
+    if (this.segments.length > 1) return false;
 
-      if (this.onStop) {
-        this.onStop(url, blob, this.mimeType);
+    this.segmentDurationMs = 0;
+    return true;
+  }
+
+  // Timer tick: countdown, elapsed time and the scheduled start/stop
+  tick() {
+    const now = Date.now();
+
+    if (this.scheduledStart !== null) {
+      if (now < this.scheduledStart) {
+        if (this.onCountdown) {
+          this.onCountdown(
+            Math.ceil((this.scheduledStart - now) / MS_TO_SECONDS),
+          );
+        }
+        return;
       }
-    };
 
-    this.mediaRecorder.onerror = (e) => {
-      if (this.onError) {
-        this.onError(e.error);
+      try {
+        this.startRecording();
+      } catch (error) {
+        console.error("[Recorder] Scheduled start failed:", error);
+        this.stop();
+        if (this.onError) this.onError(error);
+        return;
       }
-    };
+    }
 
-    this.mediaRecorder.start(DATA_INTERVAL_MS);
-    this.startTime = Date.now();
-    this.timerInterval = setInterval(() => {
-      if (this.onTimer) {
-        const elapsed = Math.floor(
-          (Date.now() - this.startTime) / MS_TO_SECONDS,
-        );
-        this.onTimer(elapsed);
+    if (!this.isRecording()) return;
+
+    if (this.onTimer) {
+      this.onTimer(Math.floor((now - this.startTime) / MS_TO_SECONDS));
+    }
+
+    if (this.segmentDurationMs > 0) {
+      const { startTime } = this.segments[this.segments.length - 1];
+      if (now - this.startTime - startTime >= this.segmentDurationMs) {
+        this.rollSegment(now);
       }
-    }, TIMER_UPDATE_INTERVAL_MS);
+    }
+
+    if (this.scheduledStop !== null && now >= this.scheduledStop) {
+      this.scheduledStop = null; // Fire once
+      console.log("[Recorder] Scheduled stop reached");
+      if (this.onScheduledStop) this.onScheduledStop();
+    }
+  }
+
+  // What the browser actually applied; constraints are only preferences
+  readCaptureSettings() {
+    const track = this.stream.getAudioTracks()[0];
+    const settings = track && track.getSettings ? track.getSettings() : {};
+    const captureSettings = {
+      device: (track && track.label) || null,
+      deviceId: settings.deviceId ?? null,
+      sampleRate: settings.sampleRate ?? null,
+      channelCount: settings.channelCount ?? null,
+      noiseSuppression: settings.noiseSuppression ?? null,
+      echoCancellation: settings.echoCancellation ?? null,
+      autoGainControl: settings.autoGainControl ?? null,
+    };
+    console.log("[Recorder] Capture settings:", captureSettings);
+    return captureSettings;
+  }
 
+  async keepAwake() {
     // Request Wake Lock to prevent screen sleep (modern browsers)
     if ("wakeLock" in navigator) {
       try {
@@ -114,42 +374,91 @@ export class AudioRecorder {
     this.silentAudio.play().catch((err) => {
       console.warn("[Recorder] Could not play keep-awake audio:", err);
     });
-
-    return this.analyser;
   }
 
+  // Stop recording, or cancel a recording still waiting to start
   stop() {
-    if (this.mediaRecorder && this.mediaRecorder.state !== "inactive") {
+    if (!this.stream) return;
+
+    this.scheduledStart = null;
+    this.scheduledStop = null;
+
+    if (this.timerInterval) {
+      clearInterval(this.timerInterval);
+      this.timerInterval = null;
+    }
+
+    // Sound-activated nights end with their last segment, not a blob
+    const segmentRecorder = this.segmentRecorder;
+    this.segmentRecorder = null;
+    if (segmentRecorder) {
+      segmentRecorder.finish();
+    } else if (this.isRecording()) {
+      this.segments[this.segments.length - 1].endTime =
+        Date.now() - this.startTime;
       this.mediaRecorder.stop();
+      Promise.all(this.segmentStops).then(([blob]) =>
+        this.finishMediaRecording(blob),
+      );
+    }
 
-      if (this.stream) {
-        this.stream.getTracks().forEach((track) => {
-          track.stop();
-        });
-      }
+    this.stream.getTracks().forEach((track) => {
+      track.stop();
+    });
+    this.stream = null;
 
-      if (this.audioContext) {
-        this.audioContext.close();
-        this.audioContext = null;
-        this.analyser = null;
-      }
+    if (this.captureNode) {
+      this.captureNode.port.onmessage = null;
+      this.captureNode.disconnect();
+      this.captureNode = null;
+    }
 
-      // Release wake lock
-      if (this.wakeLock) {
-        this.wakeLock.release();
-        this.wakeLock = null;
-        console.log("[Recorder] Wake Lock released");
-      }
+    if (this.audioContext) {
+      this.audioContext.close();
+      this.audioContext = null;
+      this.analyser = null;
+    }
 
-      // Stop keep-awake audio
-      if (this.silentAudio) {
-        this.silentAudio.pause();
-        this.silentAudio = null;
-      }
+    // Release wake lock
+    if (this.wakeLock) {
+      this.wakeLock.release();
+      this.wakeLock = null;
+      console.log("[Recorder] Wake Lock released");
     }
+
+    // Stop keep-awake audio
+    if (this.silentAudio) {
+      this.silentAudio.pause();
+      this.silentAudio = null;
+    }
+
+    if (segmentRecorder && this.onStop) {
+      this.onStop(null, null, this.mimeType, this.segments);
+    }
+  }
+
+  // Microphone open, recording not started yet (delayed start)
+  isWaiting() {
+    return this.scheduledStart !== null;
+  }
+
+  hasLiveCapture() {
+    return this.captureNode !== null;
   }
 
   isRecording() {
-    return this.mediaRecorder && this.mediaRecorder.state !== "inactive";
+    return (
+      this.segmentRecorder !== null ||
+      (this.mediaRecorder && this.mediaRecorder.state !== "inactive")
+    );
+  }
+
+  isSoundActivated() {
+    return this.soundActivation !== null;
+  }
+
+  // Continuous recording in rolling files
+  isSegmented() {
+    return this.segmentDurationMs > 0;
   }
 }
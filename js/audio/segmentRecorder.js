@@ -0,0 +1,129 @@
+// Sound-activated recording: keeps a rolling pre-buffer of microphone
+// samples and only writes audio while the level is over a trigger, as
+// timestamped WAV segments
+import { createWavBlob, toPcm16 } from "./wavEncoder.js";
+import { getLevelDb } from "./levelMeter.js";
+
+const LEVEL_WINDOW_MS = 50; // Level is measured per window
+const MAX_SEGMENT_MS = 5 * 60 * 1000; // Longer noise is split (bounds memory)
+
+export class SegmentRecorder {
+  /**
+   * @param {Object} options
+   * @param {number} options.triggerLevelDb - Level (dBFS) that opens a segment
+   * @param {number} options.preBufferMs - Audio kept before the trigger
+   * @param {number} options.postBufferMs - Quiet time before a segment closes
+   * @param {number} sampleRate - Sample rate of the recording graph
+   */
+  constructor({ triggerLevelDb, preBufferMs, postBufferMs }, sampleRate) {
+    this.triggerLevelDb = triggerLevelDb;
+    this.sampleRate = sampleRate;
+    this.windowLength = Math.round((LEVEL_WINDOW_MS / 1000) * sampleRate);
+    this.preBufferWindows = Math.ceil(preBufferMs / LEVEL_WINDOW_MS);
+    this.postBufferSamples = Math.round((postBufferMs / 1000) * sampleRate);
+    this.maxSegmentSamples = Math.round((MAX_SEGMENT_MS / 1000) * sampleRate);
+    this.onSegment = null; // ({startTime, endTime, blob}) => void, times in ms
+
+    this.window = new Float32Array(this.windowLength);
+    this.windowFill = 0;
+    this.position = 0; // Samples since recording started
+    this.preBuffer = []; // Recent quiet windows (Int16Array)
+    this.parts = null; // Windows of the open segment
+    this.segmentStart = 0; // Samples
+    this.segmentLength = 0; // Samples
+    this.lastLoudEnd = 0; // Samples
+  }
+
+  /**
+   * Append microphone samples (from the recorder's capture worklet)
+   *
+   * @param {Float32Array} samples - Mono PCM samples
+   */
+  addSamples(samples) {
+    let offset = 0;
+    while (offset < samples.length) {
+      const count = Math.min(
+        samples.length - offset,
+        this.windowLength - this.windowFill,
+      );
+      this.window.set(
+        samples.subarray(offset, offset + count),
+        this.windowFill,
+      );
+      this.windowFill += count;
+      offset += count;
+
+      if (this.windowFill === this.windowLength) {
+        this.processWindow(this.window);
+        this.windowFill = 0;
+      }
+    }
+  }
+
+  processWindow(samples) {
+    const loud = getLevelDb(samples) >= this.triggerLevelDb;
+    const pcm = toPcm16(samples);
+    this.position += samples.length;
+
+    if (!this.parts) {
+      if (!loud) {
+        this.preBuffer.push(pcm);
+        if (this.preBuffer.length > this.preBufferWindows) {
+          this.preBuffer.shift();
+        }
+        return;
+      }
+
+      // Trigger: the segment starts with the pre-buffer
+      this.parts = [...this.preBuffer, pcm];
+      this.preBuffer = [];
+      this.segmentLength = this.parts.reduce((sum, p) => sum + p.length, 0);
+      this.segmentStart = this.position - this.segmentLength;
+      this.lastLoudEnd = this.position;
+      return;
+    }
+
+    this.parts.push(pcm);
+    this.segmentLength += pcm.length;
+    if (loud) this.lastLoudEnd = this.position;
+
+    if (this.position - this.lastLoudEnd >= this.postBufferSamples) {
+      this.closeSegment();
+    } else if (this.segmentLength >= this.maxSegmentSamples) {
+      // Still noisy: continue in a new segment right away
+      this.closeSegment();
+      this.parts = [];
+      this.segmentStart = this.position;
+      this.segmentLength = 0;
+    }
+  }
+
+  closeSegment() {
+    const parts = this.parts;
+    this.parts = null;
+    if (this.segmentLength === 0) return;
+
+    const segment = {
+      startTime: (this.segmentStart / this.sampleRate) * 1000,
+      endTime:
+        ((this.segmentStart + this.segmentLength) / this.sampleRate) * 1000,
+      blob: createWavBlob(parts, this.sampleRate),
+    };
+    console.log(
+      `[Segments] ${((segment.endTime - segment.startTime) / 1000).toFixed(1)}s segment at ${(segment.startTime / 1000).toFixed(1)}s`,
+    );
+    if (this.onSegment) this.onSegment(segment);
+  }
+
+  // Close the open segment, including samples short of a full window
+  finish() {
+    if (this.parts && this.windowFill > 0) {
+      const pcm = toPcm16(this.window.subarray(0, this.windowFill));
+      this.parts.push(pcm);
+      this.segmentLength += pcm.length;
+      this.position += pcm.length;
+    }
+    this.windowFill = 0;
+    if (this.parts) this.closeSegment();
+  }
+}
@@ -0,0 +1,108 @@
+// Minimal WAV parser for FFmpeg's chunk output
+// decodeAudioData is not available in workers, so chunks are decoded by hand
+
+const WAVE_FORMAT_PCM = 1;
+const WAVE_FORMAT_IEEE_FLOAT = 3;
+const WAVE_FORMAT_EXTENSIBLE = 0xfffe;
+
+/**
+ * Decode the first channel of a PCM or float WAV file
+ *
+ * @param {ArrayBuffer} buffer - WAV file contents
+ * @returns {{sampleRate: number, channelData: Float32Array, duration: number}}
+ *   duration in seconds
+ */
+export function decodeWav(buffer) {
+  const { view, format, offset, size } = parseWav(buffer);
+  return readSamples(view, offset, size, format);
+}
+
+/**
+ * Read the duration of a WAV file from its header, without decoding samples
+ *
+ * @param {ArrayBuffer} buffer - WAV file contents
+ * @returns {number} Duration in seconds (0 when the data chunk is empty)
+ */
+export function getWavDuration(buffer) {
+  const { format, size } = parseWav(buffer);
+  const frameSize = (format.bitsPerSample / 8) * format.channels;
+  return Math.floor(size / frameSize) / format.sampleRate;
+}
+
+function parseWav(buffer) {
+  const view = new DataView(buffer);
+  if (
+    view.byteLength < 12 ||
+    readTag(view, 0) !== "RIFF" ||
+    readTag(view, 8) !== "WAVE"
+  ) {
+    throw new Error("Not a WAV file");
+  }
+
+  let format = null;
+  let offset = 12;
+
+  while (offset + 8 <= view.byteLength) {
+    const tag = readTag(view, offset);
+    let size = view.getUint32(offset + 4, true);
+    const body = offset + 8;
+
+    if (tag === "fmt ") {
+      let formatTag = view.getUint16(body, true);
+      if (formatTag === WAVE_FORMAT_EXTENSIBLE) {
+        // Sub-format GUID starts with the real format tag
+        formatTag = view.getUint16(body + 24, true);
+      }
+      format = {
+        formatTag,
+        channels: view.getUint16(body + 2, true),
+        sampleRate: view.getUint32(body + 4, true),
+        bitsPerSample: view.getUint16(body + 14, true),
+      };
+    } else if (tag === "data") {
+      if (!format) throw new Error("WAV data before fmt chunk");
+
+      // Streamed WAVs may leave the size unset or too large
+      if (size === 0 || size === 0xffffffff || body + size > view.byteLength) {
+        size = view.byteLength - body;
+      }
+      return { view, format, offset: body, size };
+    }
+
+    offset = body + size + (size % 2); // Chunks are word aligned
+  }
+
+  throw new Error("WAV file has no data chunk");
+}
+
+function readSamples(view, offset, size, format) {
+  const { formatTag, channels, sampleRate, bitsPerSample } = format;
+  const bytesPerSample = bitsPerSample / 8;
+  const frameSize = bytesPerSample * channels;
+  const frames = Math.floor(size / frameSize);
+  const channelData = new Float32Array(frames);
+
+  for (let i = 0; i < frames; i++) {
+    const position = offset + i * frameSize;
+    if (formatTag === WAVE_FORMAT_IEEE_FLOAT && bitsPerSample === 32) {
+      channelData[i] = view.getFloat32(position, true);
+    } else if (formatTag === WAVE_FORMAT_PCM && bitsPerSample === 16) {
+      channelData[i] = view.getInt16(position, true) / 32768;
+    } else {
+      throw new Error(
+        `Unsupported WAV format ${formatTag} (${bitsPerSample}-bit)`,
+      );
+    }
+  }
+
+  return { sampleRate, channelData, duration: frames / sampleRate };
+}
+
+function readTag(view, offset) {
+  return String.fromCharCode(
+    view.getUint8(offset),
+    view.getUint8(offset + 1),
+    view.getUint8(offset + 2),
+    view.getUint8(offset + 3),
+  );
+}
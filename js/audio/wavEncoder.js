@@ -0,0 +1,54 @@
+// Minimal mono 16-bit PCM WAV writer (highlights reel, sound-activated
+// segments)
+
+/**
+ * Convert float samples (-1..1) to 16-bit PCM
+ *
+ * @param {Float32Array} samples
+ * @returns {Int16Array}
+ */
+export function toPcm16(samples) {
+  const pcm = new Int16Array(samples.length);
+  for (let i = 0; i < samples.length; i++) {
+    const sample = Math.max(-1, Math.min(1, samples[i]));
+    pcm[i] = sample < 0 ? sample * 0x8000 : sample * 0x7fff;
+  }
+  return pcm;
+}
+
+/**
+ * Build a WAV file from 16-bit PCM parts
+ *
+ * @param {Array<Int16Array>} parts - Mono samples, in order
+ * @param {number} sampleRate
+ * @returns {Blob}
+ */
+export function createWavBlob(parts, sampleRate) {
+  const dataSize = parts.reduce((sum, part) => sum + part.byteLength, 0);
+  return new Blob([createWavHeader(dataSize, sampleRate), ...parts], {
+    type: "audio/wav",
+  });
+}
+
+// 44-byte header of a mono 16-bit PCM WAV file
+function createWavHeader(dataSize, sampleRate) {
+  const view = new DataView(new ArrayBuffer(44));
+  const writeTag = (offset, tag) => {
+    for (let i = 0; i < 4; i++) view.setUint8(offset + i, tag.charCodeAt(i));
+  };
+
+  writeTag(0, "RIFF");
+  view.setUint32(4, 36 + dataSize, true);
+  writeTag(8, "WAVE");
+  writeTag(12, "fmt ");
+  view.setUint32(16, 16, true);
+  view.setUint16(20, 1, true); // PCM
+  view.setUint16(22, 1, true); // Mono
+  view.setUint32(24, sampleRate, true);
+  view.setUint32(28, sampleRate * 2, true); // Byte rate
+  view.setUint16(32, 2, true); // Block align
+  view.setUint16(34, 16, true);
+  writeTag(36, "data");
+  view.setUint32(40, dataSize, true);
+  return view;
+}
@@ -0,0 +1,55 @@
+// Web Worker running loudness computation and event detection
+// Protocol (every request carries an `id`):
+//   -> { type: "start", settings }
+//   -> { type: "chunk", buffer, timeOffsetMs }   buffer is a WAV ArrayBuffer (transferred)
+//   -> { type: "samples", channelData, sampleRate, timeOffsetMs }   raw PCM from live recording
+//   -> { type: "snapshot" }   events so far (tail re-detected), analysis continues
+//   -> { type: "finish" }
+//   <- { type: "status", message }
+//   <- { type: "done", id, result }
+//   <- { type: "error", id, message }
+
+import { EventDetector } from "./eventDetector.js";
+import { decodeWav } from "../audio/wavDecoder.js";
+
+let detector = null;
+
+self.onmessage = ({ data }) => {
+  const { id, type } = data;
+
+  try {
+    let result = null;
+
+    if (type === "start") {
+      detector = new EventDetector(data.settings, (message) =>
+        self.postMessage({ type: "status", message }),
+      );
+    } else if (type === "chunk") {
+      if (!detector) throw new Error("Analysis not started");
+      const { sampleRate, channelData, duration } = decodeWav(data.buffer);
+      detector.processChunk(channelData, sampleRate, data.timeOffsetMs);
+      result = { duration };
+    } else if (type === "samples") {
+      if (!detector) throw new Error("Analysis not started");
+      detector.processChunk(
+        data.channelData,
+        data.sampleRate,
+        data.timeOffsetMs,
+      );
+    } else if (type === "snapshot") {
+      if (!detector) throw new Error("Analysis not started");
+      result = detector.snapshot();
+    } else if (type === "finish") {
+      if (!detector) throw new Error("Analysis not started");
+      result = detector.finish();
+      detector = null;
+    } else {
+      throw new Error(`Unknown message type: ${type}`);
+    }
+
+    self.postMessage({ type: "done", id, result });
+  } catch (error) {
+    console.error("[AnalysisWorker] Error:", error);
+    self.postMessage({ type: "error", id, message: error.message });
+  }
+};
@@ -0,0 +1,81 @@
+// Promise-based client for analysisWorker.js
+// Each request gets an id; the worker answers with "done" or "error"
+
+export class AnalysisWorkerClient {
+  constructor() {
+    this.worker = null;
+    this.pendingRequests = new Map();
+    this.nextRequestId = 0;
+    this.onStatus = null;
+  }
+
+  /**
+   * Start a fresh worker, stopping any previous one
+   *
+   * @param {Function} [onStatus] - Called with worker status messages
+   */
+  start(onStatus = null) {
+    this.stop();
+    this.onStatus = onStatus;
+    this.worker = new Worker(new URL("./analysisWorker.js", import.meta.url), {
+      type: "module",
+    });
+
+    this.worker.onmessage = ({ data }) => {
+      if (data.type === "status") {
+        if (this.onStatus) this.onStatus(data.message);
+        return;
+      }
+
+      const request = this.pendingRequests.get(data.id);
+      if (!request) return;
+      this.pendingRequests.delete(data.id);
+
+      if (data.type === "done") {
+        request.resolve(data.result);
+      } else {
+        request.reject(new Error(data.message));
+      }
+    };
+
+    // Script load failures and uncaught errors fail every pending request
+    this.worker.onerror = (event) => {
+      event.preventDefault();
+      this.rejectPendingRequests(
+        new Error(`Analysis worker failed: ${event.message || "load error"}`),
+      );
+    };
+  }
+
+  stop() {
+    if (this.worker) {
+      this.worker.terminate();
+      this.worker = null;
+    }
+    this.onStatus = null;
+    this.rejectPendingRequests(new Error("Analysis worker stopped"));
+  }
+
+  isRunning() {
+    return !!this.worker;
+  }
+
+  post(message, transfer = []) {
+    if (!this.worker) {
+      return Promise.reject(new Error("Analysis worker not started"));
+    }
+
+    return new Promise((resolve, reject) => {
+      const id = this.nextRequestId++;
+      this.pendingRequests.set(id, { resolve, reject });
+      this.worker.postMessage({ ...message, id }, transfer);
+    });
+  }
+
+  rejectPendingRequests(error) {
+    for (const request of this.pendingRequests.values()) {
+      request.reject(error);
+    }
+    this.pendingRequests.clear();
+  }
+}
@@ -1,247 +1,293 @@
 // Unified audio analysis for detecting noise events
-// Process audio in time-based chunks using FFmpeg for extraction
+// Process audio in time-based chunks using FFmpeg for extraction; loudness
+// computation and event detection run in analysisWorker.js. A night recorded
+// in rolling files is analyzed file by file, as one timeline
 
-import { extractAudioChunk, initFFmpeg } from "../audio/ffmpegHelper.js";
+import { initFFmpeg, openFFmpegSession } from "../audio/ffmpegHelper.js";
+import { getWavDuration } from "../audio/wavDecoder.js";
+import { DEFAULT_SETTINGS } from "./detectionSettings.js";
+import { AnalysisWorkerClient } from "./analysisWorkerClient.js";
 
-// Configurable detection parameters
-const BASELINE_PERCENTILE = 0.3; // Use 30th percentile (median) as baseline
-const NOISE_THRESHOLD_MULTIPLIER = 1; // Noise is over baseline
-const EVENT_PRE_BUFFER_MS = 2000; // Include 2s before event
-const EVENT_POST_BUFFER_MS = 2000; // Include 2s after event
-const MIN_EVENT_GAP_MS = 1000; // Merge events within 1s
-const SAMPLE_INTERVAL_MS = 50; // Calculate volume every 50ms
-const CHUNK_DURATION_MS = 10 * 60 * 1000; // Process in 10-minute chunks (30 * 60 * 1000)
+// Share of progress reported while chunks are processed (rest is detection)
+const CHUNK_PROGRESS_SHARE = 90;
+// A chunk this much shorter than requested is the end of the file
+const END_OF_AUDIO_TOLERANCE_SECONDS = 0.5;
+const METADATA_TIMEOUT_MS = 5000;
 
 export class AudioAnalyzer {
-  constructor() {
-    this.audioContext = null;
+  /**
+   * @param {Object} [options] - Detection settings overriding DEFAULT_SETTINGS
+   */
+  constructor(options = {}) {
+    this.worker = new AnalysisWorkerClient();
+    this.setSettings(options);
   }
 
-  async analyzeAudio(audioBlob, onProgress, onStatusUpdate) {
+  setSettings(options = {}) {
+    this.settings = { ...DEFAULT_SETTINGS, ...options };
+  }
+
+  /**
+   * @param {Blob|Array<{startTime, endTime, blob}>} audio - Recording, or
+   *   the consecutive files of a rolling recording (times in ms)
+   * @param {Function} [onProgress] - (percent) => void; percent is null
+   *   while a file of unknown duration is processed
+   * @param {Function} [onStatusUpdate] - (message) => void
+   * @returns {Promise<{events, baseline, baselineCurve, duration}>}
+   */
+  async analyzeAudio(audio, onProgress, onStatusUpdate) {
+    const files = Array.isArray(audio)
+      ? audio
+      : [{ startTime: 0, endTime: null, blob: audio }];
+
     // Initialize FFmpeg
     if (onStatusUpdate) onStatusUpdate("Initializing FFmpeg...");
     await initFFmpeg((msg) => {
       if (onStatusUpdate) onStatusUpdate(msg);
     });
 
-    // Create audio context for decoding
-    if (onStatusUpdate) onStatusUpdate("Creating audio context...");
-    this.audioContext = new (window.AudioContext ||
-      window.webkitAudioContext)();
-
-    // Get total duration by decoding a small sample
-    if (onStatusUpdate) onStatusUpdate("Detecting audio duration...");
-    const sampleSize = Math.min(1024 * 1024, audioBlob.size); // 1MB sample
-    const sampleBlob = audioBlob.slice(0, sampleSize);
-    const sampleBuffer = await this.audioContext.decodeAudioData(
-      await sampleBlob.arrayBuffer(),
-    );
-
-    // Estimate total duration based on sample
-    const bytesPerSecond = sampleBlob.size / sampleBuffer.duration;
-    const estimatedTotalDuration = (audioBlob.size / bytesPerSecond) * 1000; // ms
-
-    // Calculate number of chunks needed
-    const numChunks = Math.ceil(estimatedTotalDuration / CHUNK_DURATION_MS);
-    const chunkDurationSeconds = CHUNK_DURATION_MS / 1000;
-
-    let allVolumeSamples = [];
-    let totalDuration = 0;
-    let sampleRate = 0;
-
-    // Process each time-based chunk
-    for (let chunkIdx = 0; chunkIdx < numChunks; chunkIdx++) {
-      const startSeconds = chunkIdx * chunkDurationSeconds;
-      const remainingSeconds = estimatedTotalDuration / 1000 - startSeconds;
-      const durationSeconds = Math.min(chunkDurationSeconds, remainingSeconds);
-
-      if (onStatusUpdate) {
-        onStatusUpdate(
-          `Extracting chunk ${chunkIdx + 1}/${numChunks} (${(startSeconds / 60).toFixed(1)}min)...`,
+    // Start the detection worker; its status messages go to the UI
+    this.worker.start(onStatusUpdate);
+
+    try {
+      await this.worker.post({ type: "start", settings: this.settings });
+
+      let extractedSeconds = 0;
+      for (const [i, file] of files.entries()) {
+        const fileStatus =
+          onStatusUpdate && files.length > 1
+            ? (message) =>
+                onStatusUpdate(`File ${i + 1}/${files.length}: ${message}`)
+            : onStatusUpdate;
+        const fileProgress = onProgress
+          ? (progress) =>
+              onProgress(
+                progress === null
+                  ? null
+                  : (i * CHUNK_PROGRESS_SHARE + progress) / files.length,
+              )
+          : null;
+
+        extractedSeconds += await this.processFile(
+          file,
+          fileProgress,
+          fileStatus,
         );
       }
-
-      // Extract this time range using FFmpeg
-      const chunkBlob = await extractAudioChunk(
-        audioBlob,
-        startSeconds,
-        durationSeconds,
-      );
-
-      if (onStatusUpdate) {
-        onStatusUpdate(`Decoding chunk ${chunkIdx + 1}/${numChunks}...`);
+      if (extractedSeconds === 0) {
+        throw new Error("No audio could be extracted from the file");
       }
 
-      // Decode the extracted WAV chunk
-      const arrayBuffer = await chunkBlob.arrayBuffer();
-      const audioBuffer = await this.audioContext.decodeAudioData(arrayBuffer);
-
-      sampleRate = audioBuffer.sampleRate;
-      const actualChunkDuration = audioBuffer.duration * 1000; // ms
-      const channelData = audioBuffer.getChannelData(0);
+      const result = await this.worker.post({ type: "finish" });
+      if (onProgress) onProgress(100);
+      if (onStatusUpdate) onStatusUpdate("Analysis complete!");
+      console.log(
+        `[AudioAnalyzer] Analysis complete: ${result.events.length} events found, baseline: ${result.baseline.toFixed(1)} dB`,
+      );
+      return result;
+    } finally {
+      this.worker.stop();
+    }
+  }
 
-      // Calculate volume samples for this chunk
-      if (onStatusUpdate) {
-        onStatusUpdate(`Analyzing chunk ${chunkIdx + 1}/${numChunks}...`);
+  /**
+   * Feed one file to the worker, at its place in the night
+   *
+   * @returns {Promise<number>} Seconds of audio extracted
+   */
+  async processFile(file, onProgress, onStatusUpdate) {
+    // The file is loaded into FFmpeg once for all its chunks
+    const session = await openFFmpegSession(file.blob);
+
+    try {
+      // Duration is only used for progress; chunks are extracted until
+      // FFmpeg runs out of audio. Rolling files know theirs already
+      let totalDuration = file.endTime - file.startTime;
+      if (file.endTime === null) {
+        if (onStatusUpdate) onStatusUpdate("Detecting audio duration...");
+        totalDuration = await this.getDuration(session);
       }
 
-      const chunkVolumeSamples = this.calculateVolumeSamples(
-        channelData,
-        sampleRate,
-        actualChunkDuration,
+      return await this.processChunks(
+        session,
+        totalDuration,
+        file.startTime,
+        onProgress,
+        onStatusUpdate,
       );
+    } finally {
+      await session.close();
+    }
+  }
 
-      // Adjust timestamps to account for previous chunks
-      const timeOffset = startSeconds * 1000; // Convert to ms
-      chunkVolumeSamples.forEach((sample) => {
-        sample.time += timeOffset;
-      });
+  /**
+   * Duration of the recording from container metadata, else an FFmpeg probe
+   * MediaRecorder WebM files have no duration in their header: they are
+   * chunked to the end with indeterminate progress
+   *
+   * @returns {Promise<number|null>} Duration in ms, or null if unknown
+   */
+  async getDuration(session) {
+    const metadataDuration = await this.readMetadataDuration(session.audioBlob);
+    if (metadataDuration !== null) {
+      console.log(
+        `[AudioAnalyzer] Duration from metadata: ${metadataDuration.toFixed(1)}s`,
+      );
+      return metadataDuration * 1000;
+    }
 
-      allVolumeSamples = allVolumeSamples.concat(chunkVolumeSamples);
-      totalDuration = Math.max(totalDuration, timeOffset + actualChunkDuration);
+    try {
+      const probedDuration = await session.getDuration();
+      if (probedDuration) {
+        console.log(
+          `[AudioAnalyzer] Duration from FFmpeg probe: ${probedDuration.toFixed(1)}s`,
+        );
+        return probedDuration * 1000;
+      }
+    } catch (error) {
+      console.warn("[AudioAnalyzer] FFmpeg probe failed:", error);
     }
 
-    // Detect noise events
-    if (onStatusUpdate) onStatusUpdate("Detecting noise events...");
-    const events = this.detectNoiseEvents(
-      allVolumeSamples,
-      totalDuration,
-      onStatusUpdate,
-    );
-
-    // Calculate final baseline
-    if (onStatusUpdate) onStatusUpdate("Calculating baseline...");
-    const baseline = this.calculateBaseline(allVolumeSamples);
-
-    if (onStatusUpdate) onStatusUpdate("Analysis complete!");
-    console.log(
-      `[AudioAnalyzer] Analysis complete: ${events.length} events found, baseline: ${baseline.toFixed(1)} dB`,
-    );
-    return { events, baseline, duration: totalDuration };
+    console.log("[AudioAnalyzer] Duration unknown, reading to the end");
+    return null;
   }
 
-  calculateVolumeSamples(channelData, sampleRate, duration) {
-    const volumeSamples = [];
-    const samplesPerInterval = Math.floor(
-      (SAMPLE_INTERVAL_MS / 1000) * sampleRate,
-    );
-    const totalSamples = channelData.length;
-
-    for (let i = 0; i < totalSamples; i += samplesPerInterval) {
-      const endIndex = Math.min(i + samplesPerInterval, totalSamples);
-      const chunk = channelData.slice(i, endIndex);
-
-      // Calculate RMS (Root Mean Square) for this chunk
-      let sum = 0;
-      for (let j = 0; j < chunk.length; j++) {
-        sum += chunk[j] * chunk[j];
-      }
-      const rms = Math.sqrt(sum / chunk.length);
-      const db = rms > 0 ? 20 * Math.log10(rms) : -100;
-      const volume = db > -100 ? db : -100;
+  // Duration from the browser's metadata parser, or null if unknown
+  readMetadataDuration(audioBlob) {
+    return new Promise((resolve) => {
+      const audio = document.createElement("audio");
+      const url = URL.createObjectURL(audioBlob);
+      let timeout = null;
+
+      const done = (duration) => {
+        clearTimeout(timeout);
+        audio.onloadedmetadata = null;
+        audio.onerror = null;
+        audio.removeAttribute("src");
+        URL.revokeObjectURL(url);
+        resolve(Number.isFinite(duration) && duration > 0 ? duration : null);
+      };
+
+      audio.preload = "metadata";
+      audio.onloadedmetadata = () => done(audio.duration);
+      audio.onerror = () => done(null);
+      timeout = setTimeout(() => done(null), METADATA_TIMEOUT_MS);
+      audio.src = url;
+    });
+  }
 
-      const time = (i / sampleRate) * 1000; // Convert to ms
-      volumeSamples.push({ time, volume });
-    }
+  /**
+   * Extract and analyze chunks until FFmpeg runs out of audio
+   *
+   * @param {number|null} totalDuration - Expected duration in ms, null if
+   *   unknown (progress is then reported as null)
+   * @returns {Promise<number>} Seconds of audio extracted
+   */
+  async processChunks(
+    session,
+    totalDuration,
+    timeOffsetMs,
+    onProgress,
+    onStatusUpdate,
+  ) {
+    const chunkDurationSeconds = this.settings.chunkDurationMs / 1000;
+    const expectedChunks =
+      totalDuration === null
+        ? null
+        : Math.max(1, Math.ceil(totalDuration / this.settings.chunkDurationMs));
+
+    // Extraction of the next chunk overlaps worker analysis of the previous
+    let pendingAnalysis = Promise.resolve();
+    let extractedSeconds = 0;
+
+    // Process each time-based chunk until FFmpeg returns no more audio
+    try {
+      for (let chunkIdx = 0; ; chunkIdx++) {
+        const startSeconds = chunkIdx * chunkDurationSeconds;
+        const numChunks =
+          expectedChunks === null
+            ? null
+            : Math.max(expectedChunks, chunkIdx + 1);
+        const chunkLabel =
+          numChunks === null ? chunkIdx + 1 : `${chunkIdx + 1}/${numChunks}`;
+
+        if (onStatusUpdate) {
+          onStatusUpdate(
+            `Extracting chunk ${chunkLabel} (${(startSeconds / 60).toFixed(1)}min)...`,
+          );
+        }
 
-    return volumeSamples;
-  }
+        // Extract this time range using FFmpeg
+        const chunkBlob = await session.extractChunk(
+          startSeconds,
+          chunkDurationSeconds,
+        );
 
-  detectNoiseEvents(volumeSamples, duration, onStatusUpdate) {
-    const events = [];
-    let currentEvent = null;
-    let lastNoiseTime = null; // Track when we last saw noise
+        // Hand the WAV chunk to the worker (transferred, not copied)
+        const arrayBuffer = await chunkBlob.arrayBuffer();
+        const chunkSeconds = getWavDuration(arrayBuffer);
+        if (chunkSeconds === 0) break; // Past the end of the audio
+        extractedSeconds = startSeconds + chunkSeconds;
 
-    if (onStatusUpdate) {
-      onStatusUpdate("Detecting noise events...");
-    }
+        await pendingAnalysis;
 
-    // Calculate baseline from all samples
-    const baseline = this.calculateBaseline(volumeSamples);
-    const thresholdDb = 20 * Math.log10(NOISE_THRESHOLD_MULTIPLIER);
-    const threshold = baseline + thresholdDb;
-
-    console.log(
-      `[AudioAnalyzer] Baseline: ${baseline.toFixed(1)} dB, Threshold: ${threshold.toFixed(1)} dB (${NOISE_THRESHOLD_MULTIPLIER}x)`,
-    );
-    console.log(
-      `[AudioAnalyzer] Processing ${volumeSamples.length} samples...`,
-    );
-
-    for (const sample of volumeSamples) {
-      const isNoise = sample.volume > threshold;
-
-      if (isNoise) {
-        lastNoiseTime = sample.time; // Update last noise time
-
-        if (!currentEvent) {
-          // Start new event
-          currentEvent = {
-            startTime: Math.max(0, sample.time - EVENT_PRE_BUFFER_MS),
-            endTime: sample.time,
-            peakVolume: sample.volume,
-          };
-        } else {
-          // Extend current event
-          currentEvent.endTime = sample.time;
-          currentEvent.peakVolume = Math.max(
-            currentEvent.peakVolume,
-            sample.volume,
-          );
+        if (onStatusUpdate) {
+          onStatusUpdate(`Analyzing chunk ${chunkLabel}...`);
         }
-      } else if (currentEvent && lastNoiseTime !== null) {
-        // Check if we should finalize the event (use lastNoiseTime instead of currentEvent.endTime)
-        if (sample.time - lastNoiseTime >= EVENT_POST_BUFFER_MS) {
-          // Finalize event with post-buffer
-          currentEvent.endTime = lastNoiseTime + EVENT_POST_BUFFER_MS;
-
-          // Merge with previous event if close enough
-          const lastEvent = events[events.length - 1];
-          if (
-            lastEvent &&
-            currentEvent.startTime - lastEvent.endTime <= MIN_EVENT_GAP_MS
-          ) {
-            lastEvent.endTime = currentEvent.endTime;
-            lastEvent.peakVolume = Math.max(
-              lastEvent.peakVolume,
-              currentEvent.peakVolume,
-            );
-          } else {
-            events.push({ ...currentEvent });
-            console.log(
-              `[AudioAnalyzer] Event ${events.length}: ${(currentEvent.startTime / 1000).toFixed(1)}s - ${(currentEvent.endTime / 1000).toFixed(1)}s (peak: ${currentEvent.peakVolume.toFixed(1)} dB)`,
-            );
-          }
-
-          currentEvent = null;
-          lastNoiseTime = null;
+        pendingAnalysis = this.worker
+          .post(
+            {
+              type: "chunk",
+              buffer: arrayBuffer,
+              timeOffsetMs: timeOffsetMs + startSeconds * 1000,
+            },
+            [arrayBuffer],
+          )
+          .then(() => {
+            if (onProgress) {
+              onProgress(
+                numChunks === null
+                  ? null
+                  : Math.min((chunkIdx + 1) / numChunks, 1) *
+                      CHUNK_PROGRESS_SHARE,
+              );
+            }
+          });
+        // Rejections surface where it is awaited; don't report them as
+        // unhandled while the next chunk is being extracted
+        pendingAnalysis.catch(() => {});
+
+        // A short chunk means FFmpeg reached the end of the file
+        if (
+          chunkSeconds <
+          chunkDurationSeconds - END_OF_AUDIO_TOLERANCE_SECONDS
+        ) {
+          break;
         }
       }
+      await pendingAnalysis;
+    } catch (error) {
+      // Extraction failed with an analysis still in flight: wait for it, so
+      // a worker error is reported rather than left unhandled
+      await pendingAnalysis.catch((analysisError) => {
+        if (analysisError !== error) {
+          console.error(
+            "[AudioAnalyzer] Chunk analysis failed:",
+            analysisError,
+          );
+        }
+      });
+      throw error;
     }
 
-    // Finalize any pending event at the end of the recording
-    if (currentEvent && lastNoiseTime !== null) {
-      currentEvent.endTime = Math.min(
-        lastNoiseTime + EVENT_POST_BUFFER_MS,
-        duration,
-      );
-      events.push(currentEvent);
-      console.log(
-        `[AudioAnalyzer] Event ${events.length} (final): ${(currentEvent.startTime / 1000).toFixed(1)}s - ${(currentEvent.endTime / 1000).toFixed(1)}s (peak: ${currentEvent.peakVolume.toFixed(1)} dB)`,
+    if (
+      totalDuration !== null &&
+      Math.abs(extractedSeconds * 1000 - totalDuration) > 1000
+    ) {
+      console.warn(
+        `[AudioAnalyzer] Extracted ${extractedSeconds.toFixed(1)}s, expected ${(totalDuration / 1000).toFixed(1)}s`,
       );
     }
-
-    console.log(
-      `[AudioAnalyzer] Detection complete: found ${events.length} events`,
-    );
-    return events;
-  }
-
-  calculateBaseline(samples) {
-    if (samples.length === 0) return -100;
-
-    const volumes = samples.map((s) => s.volume).sort((a, b) => a - b);
-    const percentileIndex = Math.floor(volumes.length * BASELINE_PERCENTILE);
-    return volumes[percentileIndex];
+    return extractedSeconds;
   }
 }
@@ -0,0 +1,203 @@
+// Detection settings: defaults, named presets and validation
+// Used by AudioAnalyzer and the settings panel
+
+export const DEFAULT_SETTINGS = {
+  baselinePercentile: 0.3, // Use 30th percentile as baseline
+  noiseThresholdMultiplier: 1, // Noise is over baseline
+  eventPreBufferMs: 2000, // Include 2s before event
+  eventPostBufferMs: 2000, // Include 2s after event
+  minEventGapMs: 1000, // Merge events within 1s
+  sampleIntervalMs: 50, // Calculate volume every 50ms
+  chunkDurationMs: 10 * 60 * 1000, // Process in 10-minute chunks
+  baselineWindowMs: 5 * 60 * 1000, // Rolling baseline looks 2.5min either side
+  baselineStepMs: 10 * 1000, // Recompute baseline every 10s
+};
+
+export const CUSTOM_PRESET = "custom";
+
+export const PRESETS = {
+  default: {
+    label: "Default",
+    settings: { ...DEFAULT_SETTINGS },
+  },
+  sensitive: {
+    label: "Sensitive (quiet mumbling)",
+    settings: {
+      ...DEFAULT_SETTINGS,
+      baselinePercentile: 0.2,
+      eventPreBufferMs: 3000,
+      eventPostBufferMs: 3000,
+    },
+  },
+  balanced: {
+    label: "Balanced (~6 dB over baseline)",
+    settings: {
+      ...DEFAULT_SETTINGS,
+      baselinePercentile: 0.5,
+      noiseThresholdMultiplier: 2,
+    },
+  },
+  loudOnly: {
+    label: "Loud only (~10 dB over baseline)",
+    settings: {
+      ...DEFAULT_SETTINGS,
+      baselinePercentile: 0.5,
+      noiseThresholdMultiplier: 3.2,
+      minEventGapMs: 3000,
+    },
+  },
+  lowMemory: {
+    label: "Low memory (small chunks)",
+    settings: {
+      ...DEFAULT_SETTINGS,
+      sampleIntervalMs: 100,
+      chunkDurationMs: 5 * 60 * 1000,
+    },
+  },
+};
+
+// Field definitions for the settings form
+// `scale` converts the stored value to the unit shown in the UI
+export const SETTING_FIELDS = [
+  {
+    key: "baselinePercentile",
+    label: "Baseline percentile",
+    unit: "%",
+    scale: 0.01,
+    min: 1,
+    max: 99,
+    step: 1,
+  },
+  {
+    key: "noiseThresholdMultiplier",
+    label: "Threshold multiplier",
+    unit: "x",
+    scale: 1,
+    min: 1,
+    max: 10,
+    step: 0.1,
+  },
+  {
+    key: "eventPreBufferMs",
+    label: "Pre-event buffer",
+    unit: "s",
+    scale: 1000,
+    min: 0,
+    max: 30,
+    step: 0.5,
+  },
+  {
+    key: "eventPostBufferMs",
+    label: "Post-event buffer",
+    unit: "s",
+    scale: 1000,
+    min: 0,
+    max: 30,
+    step: 0.5,
+  },
+  {
+    key: "minEventGapMs",
+    label: "Merge events within",
+    unit: "s",
+    scale: 1000,
+    min: 0,
+    max: 60,
+    step: 0.5,
+  },
+  {
+    key: "sampleIntervalMs",
+    label: "Volume sample interval",
+    unit: "ms",
+    scale: 1,
+    min: 10,
+    max: 1000,
+    step: 10,
+  },
+  {
+    key: "chunkDurationMs",
+    label: "Chunk duration",
+    unit: "min",
+    scale: 60 * 1000,
+    min: 1,
+    max: 60,
+    step: 1,
+  },
+  {
+    key: "baselineWindowMs",
+    label: "Baseline window",
+    unit: "min",
+    scale: 60 * 1000,
+    min: 0.5,
+    max: 60,
+    step: 0.5,
+  },
+  {
+    key: "baselineStepMs",
+    label: "Baseline update every",
+    unit: "s",
+    scale: 1000,
+    min: 1,
+    max: 300,
+    step: 1,
+  },
+];
+
+/**
+ * Validate detection settings
+ *
+ * @param {Object} settings - Settings in stored units (ms, fractions)
+ * @returns {Object} Map of setting key to error message (empty when valid)
+ */
+export function validateSettings(settings) {
+  const errors = {};
+
+  for (const field of SETTING_FIELDS) {
+    const value = settings[field.key];
+    if (typeof value !== "number" || !Number.isFinite(value)) {
+      errors[field.key] = `${field.label} must be a number`;
+      continue;
+    }
+
+    const displayValue = value / field.scale;
+    // Small tolerance so 0.3 / 0.01 doesn't fail on floating point noise
+    if (displayValue < field.min - 1e-9 || displayValue > field.max + 1e-9) {
+      errors[field.key] =
+        `${field.label} must be between ${field.min} and ${field.max} ${field.unit}`;
+    }
+  }
+
+  if (
+    !errors.baselineStepMs &&
+    !errors.baselineWindowMs &&
+    settings.baselineStepMs > settings.baselineWindowMs
+  ) {
+    errors.baselineStepMs = "Baseline update must not exceed the window";
+  }
+
+  if (
+    !errors.sampleIntervalMs &&
+    !errors.baselineStepMs &&
+    settings.sampleIntervalMs > settings.baselineStepMs
+  ) {
+    errors.sampleIntervalMs =
+      "Sample interval must not exceed the baseline update";
+  }
+
+  return errors;
+}
+
+/**
+ * Find the preset whose settings match exactly
+ *
+ * @param {Object} settings - Settings to compare
+ * @returns {string} Preset name, or CUSTOM_PRESET when none match
+ */
+export function findMatchingPreset(settings) {
+  for (const [name, preset] of Object.entries(PRESETS)) {
+    const matches = Object.keys(DEFAULT_SETTINGS).every(
+      (key) => preset.settings[key] === settings[key],
+    );
+    if (matches) return name;
+  }
+  return CUSTOM_PRESET;
+}
@@ -0,0 +1,205 @@
+// Offline event classification from per-interval frame features
+// Labels each detected event as snore, speech, cough, impact or other
+
+export const EVENT_CATEGORIES = {
+  speech: { label: "Talking", icon: "🗣️" },
+  snore: { label: "Snoring", icon: "😴" },
+  cough: { label: "Cough", icon: "🤧" },
+  impact: { label: "Bang", icon: "💥" },
+  other: { label: "Other", icon: "🔊" },
+};
+
+// Frames within this range of the event peak count as "loud"
+const LOUD_RANGE_DB = 12;
+// Envelope must dip this much between two bursts (syllables, coughs)
+const BURST_DIP_DB = 6;
+// Score given to "other" so weak matches fall through to it
+const OTHER_SCORE = 0.25;
+
+export class EventClassifier {
+  /**
+   * Add `category` and `confidence` to each event
+   *
+   * @param {Array} events - Events from AudioAnalyzer.detectNoiseEvents
+   * @param {Array} samples - Time-ordered frame samples from calculateVolumeSamples
+   * @param {number} sampleIntervalMs - Spacing of the frame samples
+   * @returns {Array} The same events, classified
+   */
+  classifyEvents(events, samples, sampleIntervalMs) {
+    for (const event of events) {
+      const features = this.extractFeatures(event, samples, sampleIntervalMs);
+      if (!features) {
+        event.category = "other";
+        event.confidence = 0;
+        continue;
+      }
+
+      const scores = this.scoreCategories(features);
+      let best = "other";
+      let total = 0;
+      for (const [category, score] of Object.entries(scores)) {
+        total += score;
+        if (score > scores[best]) best = category;
+      }
+
+      event.category = best;
+      event.confidence = Math.round((scores[best] / total) * 100) / 100;
+      console.log(
+        `[EventClassifier] ${(event.startTime / 1000).toFixed(1)}s: ${best} (${Math.round(event.confidence * 100)}%)`,
+      );
+    }
+    return events;
+  }
+
+  extractFeatures(event, samples, sampleIntervalMs) {
+    const frames = this.getFramesInRange(
+      samples,
+      event.startTime,
+      event.endTime,
+    );
+    if (frames.length === 0) return null;
+
+    let peakIndex = 0;
+    for (let i = 1; i < frames.length; i++) {
+      if (frames[i].volume > frames[peakIndex].volume) peakIndex = i;
+    }
+    const peakVolume = frames[peakIndex].volume;
+    const loudFloor = peakVolume - LOUD_RANGE_DB;
+
+    let low = 0;
+    let mid = 0;
+    let high = 0;
+    let loudFrames = 0;
+    let firstLoud = -1;
+    let lastLoud = -1;
+    let longestRun = 0;
+    let run = 0;
+
+    for (let i = 0; i < frames.length; i++) {
+      const frame = frames[i];
+      if (frame.volume < loudFloor) {
+        run = 0;
+        continue;
+      }
+
+      loudFrames++;
+      low += frame.low;
+      mid += frame.mid;
+      high += frame.high;
+      if (firstLoud < 0) firstLoud = i;
+      lastLoud = i;
+      run++;
+      longestRun = Math.max(longestRun, run);
+    }
+
+    const bandTotal = low + mid + high || 1;
+    const spanSeconds = ((lastLoud - firstLoud + 1) * sampleIntervalMs) / 1000;
+    const bursts = this.countBursts(frames.slice(firstLoud, lastLoud + 1));
+    const baseline =
+      event.baseline !== undefined ? event.baseline : peakVolume - 20;
+
+    return {
+      lowRatio: low / bandTotal,
+      midRatio: mid / bandTotal,
+      highRatio: high / bandTotal,
+      loudMs: loudFrames * sampleIntervalMs,
+      longestBurstMs: longestRun * sampleIntervalMs,
+      attackMs: (peakIndex - firstLoud) * sampleIntervalMs,
+      bursts,
+      burstRate: bursts / spanSeconds,
+      crestDb: peakVolume - baseline,
+    };
+  }
+
+  // Count envelope peaks separated by dips of at least BURST_DIP_DB
+  countBursts(frames) {
+    if (frames.length === 0) return 0;
+
+    let bursts = 1;
+    let rising = true;
+    let extreme = frames[0].volume;
+
+    for (const { volume } of frames) {
+      if (rising) {
+        if (volume > extreme) extreme = volume;
+        else if (extreme - volume >= BURST_DIP_DB) {
+          rising = false;
+          extreme = volume;
+        }
+      } else if (volume < extreme) {
+        extreme = volume;
+      } else if (volume - extreme >= BURST_DIP_DB) {
+        rising = true;
+        extreme = volume;
+        bursts++;
+      }
+    }
+    return bursts;
+  }
+
+  scoreCategories(f) {
+    return {
+      // Low-frequency, little treble, breath-length bursts (any number:
+      // merged events hold several breaths)
+      snore:
+        rise(f.lowRatio, 0.35, 0.65) *
+        fall(f.highRatio, 0.15, 0.35) *
+        rise(f.longestBurstMs, 300, 600) *
+        fall(f.longestBurstMs, 3500, 5000),
+      // Mid-band energy with syllable-rate modulation
+      speech:
+        rise(f.midRatio, 0.3, 0.55) *
+        rise(f.loudMs, 400, 1000) *
+        rise(f.burstRate, 1, 2) *
+        fall(f.burstRate, 8, 12),
+      // Short broadband bursts with a sharp onset
+      cough:
+        rise(f.midRatio + f.highRatio, 0.4, 0.7) *
+        fall(f.attackMs, 100, 300) *
+        rise(f.loudMs / f.bursts, 100, 200) *
+        fall(f.loudMs / f.bursts, 400, 1000) *
+        fall(f.bursts, 4, 6),
+      // Near-instant onset, very short and well above the baseline
+      impact:
+        fall(f.attackMs, 50, 150) *
+        fall(f.loudMs, 150, 300) *
+        rise(f.crestDb, 10, 20),
+      other: OTHER_SCORE,
+    };
+  }
+
+  getFramesInRange(samples, startTime, endTime) {
+    const frames = [];
+    for (
+      let i = this.findFirstFrame(samples, startTime);
+      i < samples.length && samples[i].time <= endTime;
+      i++
+    ) {
+      frames.push(samples[i]);
+    }
+    return frames;
+  }
+
+  // Binary search for the first frame at or after time
+  findFirstFrame(samples, time) {
+    let lo = 0;
+    let hi = samples.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (samples[mid].time < time) lo = mid + 1;
+      else hi = mid;
+    }
+    return lo;
+  }
+}
+
+// Soft thresholds: 0 below `from`, 1 above `to`, linear in between
+function rise(value, from, to) {
+  if (value <= from) return 0;
+  if (value >= to) return 1;
+  return (value - from) / (to - from);
+}
+
+function fall(value, from, to) {
+  return 1 - rise(value, from, to);
+}
@@ -0,0 +1,748 @@
+// Offline event detection over decoded audio chunks
+// Runs inside analysisWorker.js so the main thread stays responsive
+
+import { DEFAULT_SETTINGS } from "./detectionSettings.js";
+import { EventClassifier } from "./eventClassifier.js";
+import { SpeechDetector } from "./speechDetector.js";
+import { SnoringDetector } from "./snoringDetector.js";
+import { fft } from "./fft.js";
+
+// Frequency bands, matching FrequencyBandsVisualizer
+const BAND_LOW_HZ = 20;
+const BAND_MID_HZ = 250;
+const BAND_HIGH_HZ = 2000;
+
+// Dominant frequency is measured on loud local peaks only (FFT is costly)
+const DOMINANT_FFT_SIZE = 2048; // ~23 Hz bins at 48kHz
+const DOMINANT_GATE_DB = 6; // Frame must be this far above the chunk median
+
+// Voiced time at which a quiet speech event gets full confidence
+const SPEECH_CONFIDENT_MS = 1000;
+
+// Dips shorter than this don't split a noise burst (one breath, one cough)
+const BURST_GAP_MS = 300;
+// Bursts must rise this far over the baseline even if the event threshold
+// is lower; the noise floor itself flickers around a 0 dB threshold
+const BURST_MIN_RISE_DB = 6;
+
+// Live snapshots keep events ending this long before the rolling baseline's
+// look-ahead as final; covers the widest gap between snore breaths
+const SNAPSHOT_SETTLE_MS = 30 * 1000;
+
+// Chunks starting within this of the previous chunk's end continue its
+// band filters instead of resetting them
+const CONTIGUOUS_TOLERANCE_MS = 1;
+
+// Volume histogram used for the rolling baseline percentile
+const HISTOGRAM_MIN_DB = -100;
+const HISTOGRAM_MAX_DB = 0;
+const HISTOGRAM_BINS_PER_DB = 10; // 0.1 dB resolution
+const HISTOGRAM_BINS =
+  (HISTOGRAM_MAX_DB - HISTOGRAM_MIN_DB) * HISTOGRAM_BINS_PER_DB + 1;
+
+export class EventDetector {
+  /**
+   * @param {Object} [options] - Detection settings overriding DEFAULT_SETTINGS
+   * @param {Function} [onStatusUpdate] - Called with status messages
+   */
+  constructor(options = {}, onStatusUpdate = null) {
+    this.settings = { ...DEFAULT_SETTINGS, ...options };
+    this.onStatusUpdate = onStatusUpdate;
+    this.classifier = new EventClassifier();
+    this.speechDetector = new SpeechDetector();
+    this.snoringDetector = new SnoringDetector();
+    this.volumeSamples = [];
+    this.totalDuration = 0;
+    this.bandFilter = null; // One-pole filter state at the end of the last chunk
+    this.closedEvents = []; // Snapshot events that no longer change
+    this.closedUntil = 0; // Later snapshots only re-detect from here
+  }
+
+  /**
+   * Compute volume, frame features and voiced frames for one decoded chunk
+   *
+   * @param {Float32Array} channelData - Mono PCM samples
+   * @param {number} sampleRate - Sample rate of channelData
+   * @param {number} timeOffsetMs - Chunk start within the recording
+   */
+  processChunk(channelData, sampleRate, timeOffsetMs) {
+    const chunkDuration = (channelData.length / sampleRate) * 1000; // ms
+    // Filters ring for a while: carry their state across contiguous chunks
+    // so each chunk doesn't start with a step response
+    const filter = this.bandFilter;
+    if (
+      !filter ||
+      filter.sampleRate !== sampleRate ||
+      Math.abs(filter.endTime - timeOffsetMs) > CONTIGUOUS_TOLERANCE_MS
+    ) {
+      this.bandFilter = { sampleRate, rumble: 0, lowPass: 0, midPass: 0 };
+    }
+    this.bandFilter.endTime = timeOffsetMs + chunkDuration;
+
+    const chunkVolumeSamples = this.calculateVolumeSamples(
+      channelData,
+      sampleRate,
+      chunkDuration,
+    );
+
+    // Adjust timestamps to account for previous chunks
+    for (const sample of chunkVolumeSamples) {
+      sample.time += timeOffsetMs;
+    }
+
+    // Look for voiced speech, independent of loudness
+    this.speechDetector.processChunk(channelData, sampleRate, timeOffsetMs);
+
+    for (const sample of chunkVolumeSamples) {
+      this.volumeSamples.push(sample);
+    }
+    this.totalDuration = Math.max(
+      this.totalDuration,
+      timeOffsetMs + chunkDuration,
+    );
+  }
+
+  /**
+   * Detect, classify and group events over all processed chunks
+   *
+   * @returns {{events: Array, baseline: number, baselineCurve: Array, duration: number}}
+   */
+  finish() {
+    const samples = this.volumeSamples;
+    const { events, baselineCurve } = this.detectEvents(
+      samples,
+      this.speechDetector.getSegments(),
+      this.totalDuration,
+    );
+
+    // Calculate final baseline
+    if (this.onStatusUpdate) this.onStatusUpdate("Calculating baseline...");
+    const baseline = this.calculateBaseline(samples);
+
+    return { events, baseline, baselineCurve, duration: this.totalDuration };
+  }
+
+  /**
+   * Events so far while samples keep arriving. Only the tail after the last
+   * settled event is re-detected, so each snapshot costs the same all night;
+   * finish() still runs the full pass.
+   *
+   * @returns {{events: Array, duration: number}}
+   */
+  snapshot() {
+    const samples = this.volumeSamples;
+    const fromTime = this.closedUntil;
+
+    // The rolling baseline at fromTime needs half a window of history
+    const contextStart = this.classifier.findFirstFrame(
+      samples,
+      fromTime - this.settings.baselineWindowMs / 2,
+    );
+    const { events } = this.detectEvents(
+      samples.slice(contextStart),
+      this.speechDetector.getSegments(fromTime),
+      this.totalDuration,
+      fromTime,
+    );
+
+    // The baseline around these is complete and no later breath can extend
+    // them into an episode
+    const settledTime =
+      this.totalDuration -
+      this.settings.baselineWindowMs / 2 -
+      SNAPSHOT_SETTLE_MS;
+    let settled = 0;
+    while (settled < events.length && events[settled].endTime < settledTime) {
+      this.closedUntil = Math.max(this.closedUntil, events[settled].endTime);
+      settled++;
+    }
+    this.closedEvents.push(...events.slice(0, settled));
+
+    return {
+      events: this.closedEvents.concat(events.slice(settled)),
+      duration: this.totalDuration,
+    };
+  }
+
+  /**
+   * Detect, classify and group events over a run of frame samples
+   *
+   * @param {Array} samples - Frame samples from calculateVolumeSamples
+   * @param {Array} speechSegments - Segments from SpeechDetector.getSegments()
+   * @param {number} totalDuration - Recording duration in ms
+   * @param {number} [fromTime] - Only detect events from here; earlier
+   *   samples just feed the rolling baseline
+   * @returns {{events: Array, baselineCurve: Array}}
+   */
+  detectEvents(samples, speechSegments, totalDuration, fromTime = 0) {
+    const onStatusUpdate = this.onStatusUpdate;
+
+    // Detect noise events
+    if (onStatusUpdate) onStatusUpdate("Detecting noise events...");
+    const {
+      events: noiseEvents,
+      baselineCurve,
+      bursts,
+    } = this.detectNoiseEvents(
+      samples,
+      totalDuration,
+      onStatusUpdate,
+      fromTime,
+    );
+
+    // Label each event (snore, speech, cough, ...)
+    if (onStatusUpdate) onStatusUpdate("Classifying events...");
+    this.classifier.classifyEvents(
+      noiseEvents,
+      samples,
+      this.settings.sampleIntervalMs,
+    );
+
+    // Add speech found by voice activity detection
+    if (onStatusUpdate) onStatusUpdate("Detecting speech...");
+    const speechAndNoiseEvents = this.mergeSpeechSegments(
+      noiseEvents,
+      speechSegments,
+      samples,
+      baselineCurve,
+      totalDuration,
+      fromTime,
+    );
+
+    // Band energies and dominant frequency per event
+    this.summarizeEventSpectra(speechAndNoiseEvents, samples);
+
+    // Collapse rhythmic snore breaths into episodes. Breaths are the raw
+    // bursts: the event buffers and merging join breaths a few seconds apart
+    if (onStatusUpdate) onStatusUpdate("Detecting snoring episodes...");
+    this.classifier.classifyEvents(
+      bursts,
+      samples,
+      this.settings.sampleIntervalMs,
+    );
+    const events = this.snoringDetector.groupEpisodes(
+      speechAndNoiseEvents,
+      bursts,
+    );
+    this.summarizeEventSpectra(
+      events.filter((event) => event.type === "snoring"),
+      samples,
+    );
+
+    return { events, baselineCurve };
+  }
+
+  /**
+   * Calculate per-interval volume and frame features used by the classifier.
+   * Bands match FrequencyBandsVisualizer (20-250, 250-2000, 2000+ Hz) and are
+   * split with one-pole filters so the whole chunk is processed in one pass.
+   *
+   * @returns {Array<{time: number, volume: number, low: number, mid: number, high: number, dominantFrequency?: number}>}
+   *   volume in dB, band energies as mean square, dominant frequency in Hz
+   */
+  calculateVolumeSamples(channelData, sampleRate, duration) {
+    const volumeSamples = [];
+    const samplesPerInterval = Math.floor(
+      (this.settings.sampleIntervalMs / 1000) * sampleRate,
+    );
+    const totalSamples = channelData.length;
+
+    // One-pole filter coefficients, state continued from the last chunk
+    const rumbleCoef = 1 - Math.exp((-2 * Math.PI * BAND_LOW_HZ) / sampleRate);
+    const lowCoef = 1 - Math.exp((-2 * Math.PI * BAND_MID_HZ) / sampleRate);
+    const midCoef = 1 - Math.exp((-2 * Math.PI * BAND_HIGH_HZ) / sampleRate);
+    const filter = this.bandFilter || { rumble: 0, lowPass: 0, midPass: 0 };
+    let { rumble, lowPass, midPass } = filter;
+
+    for (let i = 0; i < totalSamples; i += samplesPerInterval) {
+      const endIndex = Math.min(i + samplesPerInterval, totalSamples);
+      const length = endIndex - i;
+
+      // Calculate RMS (Root Mean Square) plus band energies for this chunk
+      let sum = 0;
+      let lowSum = 0;
+      let midSum = 0;
+      let highSum = 0;
+      for (let j = i; j < endIndex; j++) {
+        const value = channelData[j];
+        sum += value * value;
+
+        // Remove DC offset and sub-audible rumble before splitting bands
+        rumble += rumbleCoef * (value - rumble);
+        const signal = value - rumble;
+        lowPass += lowCoef * (signal - lowPass);
+        midPass += midCoef * (signal - midPass);
+
+        const high = signal - midPass;
+        const mid = midPass - lowPass;
+        lowSum += lowPass * lowPass;
+        midSum += mid * mid;
+        highSum += high * high;
+      }
+      const rms = Math.sqrt(sum / length);
+      const db = rms > 0 ? 20 * Math.log10(rms) : -100;
+      const volume = db > -100 ? db : -100;
+
+      const time = (i / sampleRate) * 1000; // Convert to ms
+      volumeSamples.push({
+        time,
+        volume,
+        low: lowSum / length,
+        mid: midSum / length,
+        high: highSum / length,
+      });
+    }
+    Object.assign(filter, { rumble, lowPass, midPass });
+
+    this.addDominantFrequencies(
+      volumeSamples,
+      channelData,
+      sampleRate,
+      samplesPerInterval,
+    );
+    return volumeSamples;
+  }
+
+  // FFT peak frequency for frames that are local volume maxima above the gate
+  addDominantFrequencies(volumeSamples, channelData, sampleRate, frameSize) {
+    if (volumeSamples.length < 3) return;
+
+    const sorted = volumeSamples.map((s) => s.volume).sort((a, b) => a - b);
+    const gate = sorted[Math.floor(sorted.length / 2)] + DOMINANT_GATE_DB;
+    const real = new Float32Array(DOMINANT_FFT_SIZE);
+    const imag = new Float32Array(DOMINANT_FFT_SIZE);
+    const binHz = sampleRate / DOMINANT_FFT_SIZE;
+    const firstBin = Math.max(1, Math.ceil(BAND_LOW_HZ / binHz));
+    const lastBin = DOMINANT_FFT_SIZE / 2 - 1;
+
+    for (let i = 1; i < volumeSamples.length - 1; i++) {
+      const volume = volumeSamples[i].volume;
+      if (
+        volume < gate ||
+        volume < volumeSamples[i - 1].volume ||
+        volume < volumeSamples[i + 1].volume
+      ) {
+        continue;
+      }
+
+      // Hann-windowed FFT centred on the frame
+      const center = i * frameSize + Math.floor(frameSize / 2);
+      const start = Math.max(
+        0,
+        Math.min(
+          center - DOMINANT_FFT_SIZE / 2,
+          channelData.length - DOMINANT_FFT_SIZE,
+        ),
+      );
+      for (let j = 0; j < DOMINANT_FFT_SIZE; j++) {
+        const hann =
+          0.5 - 0.5 * Math.cos((2 * Math.PI * j) / (DOMINANT_FFT_SIZE - 1));
+        real[j] = (channelData[start + j] || 0) * hann;
+        imag[j] = 0;
+      }
+      fft(real, imag);
+
+      let peakBin = firstBin;
+      let peakPower = 0;
+      for (let k = firstBin; k <= lastBin; k++) {
+        const power = real[k] * real[k] + imag[k] * imag[k];
+        if (power > peakPower) {
+          peakPower = power;
+          peakBin = k;
+        }
+      }
+
+      // Parabolic interpolation between neighbouring bins (log magnitude)
+      const left = Math.log(
+        real[peakBin - 1] ** 2 + imag[peakBin - 1] ** 2 + 1e-20,
+      );
+      const middle = Math.log(peakPower + 1e-20);
+      const right = Math.log(
+        real[peakBin + 1] ** 2 + imag[peakBin + 1] ** 2 + 1e-20,
+      );
+      const denominator = left - 2 * middle + right;
+      const offset =
+        denominator !== 0 ? (0.5 * (left - right)) / denominator : 0;
+
+      volumeSamples[i].dominantFrequency = Math.round(
+        (peakBin + offset) * binHz,
+      );
+    }
+  }
+
+  /**
+   * Store band energies and dominant frequency on each event
+   *
+   * @param {Array} events - Events to summarize (modified in place)
+   * @param {Array} samples - Frame samples from calculateVolumeSamples
+   */
+  summarizeEventSpectra(events, samples) {
+    for (const event of events) {
+      const frames = this.classifier.getFramesInRange(
+        samples,
+        event.startTime,
+        event.endTime,
+      );
+      if (frames.length === 0) continue;
+
+      let low = 0;
+      let mid = 0;
+      let high = 0;
+      let loudest = null;
+      for (const frame of frames) {
+        low += frame.low;
+        mid += frame.mid;
+        high += frame.high;
+        if (
+          frame.dominantFrequency !== undefined &&
+          (!loudest || frame.volume > loudest.volume)
+        ) {
+          loudest = frame;
+        }
+      }
+
+      // Rounded to keep cached event objects small
+      const total = low + mid + high || 1;
+      const toDb = (energy) =>
+        energy > 0
+          ? Math.round(
+              Math.max(-100, 10 * Math.log10(energy / frames.length)) * 10,
+            ) / 10
+          : -100;
+      const toShare = (energy) => Math.round((energy / total) * 100) / 100;
+
+      event.bands = {
+        low: toDb(low),
+        mid: toDb(mid),
+        high: toDb(high),
+        lowShare: toShare(low),
+        midShare: toShare(mid),
+        highShare: toShare(high),
+      };
+      event.dominantFrequency = loudest ? loudest.dominantFrequency : null;
+    }
+  }
+
+  /**
+   * Find events above the rolling baseline, with their pre/post buffers and
+   * close events merged
+   *
+   * @param {number} [fromTime] - Earlier samples only feed the baseline
+   * @returns {{events: Array, baselineCurve: Array, bursts: Array}} bursts
+   *   are the raw above-threshold runs, without buffers
+   */
+  detectNoiseEvents(volumeSamples, duration, onStatusUpdate, fromTime = 0) {
+    const events = [];
+    const bursts = [];
+    let currentEvent = null;
+    let currentBurst = null;
+    let lastNoiseTime = null; // Track when we last saw noise
+
+    if (onStatusUpdate) {
+      onStatusUpdate("Detecting noise events...");
+    }
+
+    // Baseline follows the noise floor over time (heating, traffic, etc.)
+    const baselineCurve = this.calculateBaselineCurve(volumeSamples);
+    const thresholdDb = 20 * Math.log10(this.settings.noiseThresholdMultiplier);
+    const burstRiseDb = Math.max(thresholdDb, BURST_MIN_RISE_DB);
+
+    if (baselineCurve.length > 0) {
+      const baselines = baselineCurve.map((point) => point.baseline);
+      console.log(
+        `[EventDetector] Rolling baseline: ${Math.min(...baselines).toFixed(1)} to ${Math.max(...baselines).toFixed(1)} dB, Threshold: +${thresholdDb.toFixed(1)} dB (${this.settings.noiseThresholdMultiplier}x)`,
+      );
+    }
+    console.log(
+      `[EventDetector] Processing ${volumeSamples.length} samples...`,
+    );
+
+    for (const sample of volumeSamples) {
+      if (sample.time < fromTime) continue;
+
+      const baseline = this.getBaselineAt(baselineCurve, sample.time);
+      const isNoise = sample.volume > baseline + thresholdDb;
+
+      if (sample.volume > baseline + burstRiseDb) {
+        const sampleEnd = sample.time + this.settings.sampleIntervalMs;
+        if (
+          !currentBurst ||
+          sample.time - currentBurst.endTime > BURST_GAP_MS
+        ) {
+          currentBurst = {
+            startTime: sample.time,
+            endTime: sampleEnd,
+            peakVolume: sample.volume,
+            peakTime: sample.time,
+            baseline,
+            type: "noise",
+          };
+          bursts.push(currentBurst);
+        } else {
+          currentBurst.endTime = sampleEnd;
+          if (sample.volume > currentBurst.peakVolume) {
+            currentBurst.peakVolume = sample.volume;
+            currentBurst.peakTime = sample.time;
+          }
+        }
+      }
+
+      if (isNoise) {
+        lastNoiseTime = sample.time; // Update last noise time
+
+        if (!currentEvent) {
+          // Start new event
+          currentEvent = {
+            startTime: Math.max(
+              fromTime,
+              sample.time - this.settings.eventPreBufferMs,
+            ),
+            endTime: sample.time,
+            peakVolume: sample.volume,
+            peakTime: sample.time,
+            baseline: baseline,
+            type: "noise",
+          };
+        } else {
+          // Extend current event
+          currentEvent.endTime = sample.time;
+          if (sample.volume > currentEvent.peakVolume) {
+            currentEvent.peakVolume = sample.volume;
+            currentEvent.peakTime = sample.time;
+          }
+        }
+      } else if (currentEvent && lastNoiseTime !== null) {
+        // Check if we should finalize the event (use lastNoiseTime instead of currentEvent.endTime)
+        if (sample.time - lastNoiseTime >= this.settings.eventPostBufferMs) {
+          // Finalize event with post-buffer
+          currentEvent.endTime =
+            lastNoiseTime + this.settings.eventPostBufferMs;
+
+          // Merge with previous event if close enough
+          const lastEvent = events[events.length - 1];
+          if (
+            lastEvent &&
+            currentEvent.startTime - lastEvent.endTime <=
+              this.settings.minEventGapMs
+          ) {
+            lastEvent.endTime = currentEvent.endTime;
+            if (currentEvent.peakVolume > lastEvent.peakVolume) {
+              lastEvent.peakVolume = currentEvent.peakVolume;
+              lastEvent.peakTime = currentEvent.peakTime;
+            }
+          } else {
+            events.push({ ...currentEvent });
+            console.log(
+              `[EventDetector] Event ${events.length}: ${(currentEvent.startTime / 1000).toFixed(1)}s - ${(currentEvent.endTime / 1000).toFixed(1)}s (peak: ${currentEvent.peakVolume.toFixed(1)} dB)`,
+            );
+          }
+
+          currentEvent = null;
+          lastNoiseTime = null;
+        }
+      }
+    }
+
+    // Finalize any pending event at the end of the recording
+    if (currentEvent && lastNoiseTime !== null) {
+      currentEvent.endTime = Math.min(
+        lastNoiseTime + this.settings.eventPostBufferMs,
+        duration,
+      );
+      events.push(currentEvent);
+      console.log(
+        `[EventDetector] Event ${events.length} (final): ${(currentEvent.startTime / 1000).toFixed(1)}s - ${(currentEvent.endTime / 1000).toFixed(1)}s (peak: ${currentEvent.peakVolume.toFixed(1)} dB)`,
+      );
+    }
+
+    console.log(
+      `[EventDetector] Detection complete: found ${events.length} events, ${bursts.length} bursts`,
+    );
+    return { events, baselineCurve, bursts };
+  }
+
+  /**
+   * Merge voice activity segments into the noise events.
+   * Segments overlapping a noise event mark it as containing speech; the
+   * rest (usually quiet mumbling under the threshold) become "speech" events.
+   *
+   * @returns {Array} All events sorted by start time
+   */
+  mergeSpeechSegments(
+    events,
+    segments,
+    samples,
+    baselineCurve,
+    duration,
+    fromTime = 0,
+  ) {
+    const speechEvents = [];
+
+    for (const segment of segments) {
+      const overlapping = events.filter(
+        (event) =>
+          segment.startTime < event.endTime &&
+          segment.endTime > event.startTime,
+      );
+
+      if (overlapping.length > 0) {
+        for (const event of overlapping) {
+          event.speechDetected = true;
+          if (event.category === "other") {
+            event.category = "speech";
+          }
+        }
+        continue;
+      }
+
+      const startTime = Math.max(
+        fromTime,
+        segment.startTime - this.settings.eventPreBufferMs,
+      );
+      const endTime = Math.min(
+        duration,
+        segment.endTime + this.settings.eventPostBufferMs,
+      );
+      const frames = this.classifier.getFramesInRange(
+        samples,
+        segment.startTime,
+        segment.endTime,
+      );
+      const confidence = Math.min(1, segment.voicedMs / SPEECH_CONFIDENT_MS);
+
+      // Merge with previous speech event if close enough
+      const lastEvent = speechEvents[speechEvents.length - 1];
+      if (
+        lastEvent &&
+        startTime - lastEvent.endTime <= this.settings.minEventGapMs
+      ) {
+        lastEvent.endTime = endTime;
+        lastEvent.peakVolume = Math.max(
+          lastEvent.peakVolume,
+          ...frames.map((frame) => frame.volume),
+        );
+        lastEvent.confidence =
+          Math.round(Math.max(lastEvent.confidence, confidence) * 100) / 100;
+        continue;
+      }
+
+      speechEvents.push({
+        startTime,
+        endTime,
+        peakVolume: Math.max(-100, ...frames.map((frame) => frame.volume)),
+        baseline: this.getBaselineAt(baselineCurve, segment.startTime),
+        type: "speech",
+        category: "speech",
+        confidence: Math.round(confidence * 100) / 100,
+        speechDetected: true,
+      });
+    }
+
+    console.log(
+      `[EventDetector] Speech: ${segments.length} segments, ${speechEvents.length} below the noise threshold`,
+    );
+    return events
+      .concat(speechEvents)
+      .sort((a, b) => a.startTime - b.startTime);
+  }
+
+  /**
+   * Calculate a time-local baseline using a sliding window percentile.
+   * Volumes are kept in a 0.1 dB histogram so the window can slide
+   * without re-sorting.
+   *
+   * @param {Array<{time: number, volume: number}>} samples - Time-ordered volume samples
+   * @returns {Array<{time: number, baseline: number}>} Baseline every baselineStepMs
+   */
+  calculateBaselineCurve(samples) {
+    if (samples.length === 0) return [];
+
+    const histogram = new Uint32Array(HISTOGRAM_BINS);
+    const halfWindow = this.settings.baselineWindowMs / 2;
+    const endTime = samples[samples.length - 1].time;
+    const curve = [];
+    let windowStart = 0;
+    let windowEnd = 0;
+    let count = 0;
+
+    for (let time = samples[0].time; ; time += this.settings.baselineStepMs) {
+      // Add samples entering the window
+      while (
+        windowEnd < samples.length &&
+        samples[windowEnd].time <= time + halfWindow
+      ) {
+        histogram[this.volumeToBin(samples[windowEnd].volume)]++;
+        windowEnd++;
+        count++;
+      }
+
+      // Drop samples leaving the window
+      while (
+        windowStart < windowEnd &&
+        samples[windowStart].time < time - halfWindow
+      ) {
+        histogram[this.volumeToBin(samples[windowStart].volume)]--;
+        windowStart++;
+        count--;
+      }
+
+      curve.push({
+        time,
+        baseline: this.histogramPercentile(histogram, count),
+      });
+
+      if (time >= endTime) break;
+    }
+
+    return curve;
+  }
+
+  // Linear interpolation between baseline curve points
+  getBaselineAt(curve, time) {
+    if (curve.length === 0) return HISTOGRAM_MIN_DB;
+
+    const position = (time - curve[0].time) / this.settings.baselineStepMs;
+    if (position <= 0) return curve[0].baseline;
+    if (position >= curve.length - 1) return curve[curve.length - 1].baseline;
+
+    const index = Math.floor(position);
+    const fraction = position - index;
+    return (
+      curve[index].baseline +
+      (curve[index + 1].baseline - curve[index].baseline) * fraction
+    );
+  }
+
+  volumeToBin(volume) {
+    const clamped = Math.min(
+      HISTOGRAM_MAX_DB,
+      Math.max(HISTOGRAM_MIN_DB, volume),
+    );
+    return Math.round((clamped - HISTOGRAM_MIN_DB) * HISTOGRAM_BINS_PER_DB);
+  }
+
+  histogramPercentile(histogram, count) {
+    if (count === 0) return HISTOGRAM_MIN_DB;
+
+    // Same indexing as calculateBaseline: floor(n * percentile)
+    const targetIndex = Math.floor(count * this.settings.baselinePercentile);
+    let seen = 0;
+    for (let bin = 0; bin < histogram.length; bin++) {
+      seen += histogram[bin];
+      if (seen > targetIndex) {
+        return HISTOGRAM_MIN_DB + bin / HISTOGRAM_BINS_PER_DB;
+      }
+    }
+    return HISTOGRAM_MAX_DB;
+  }
+
+  calculateBaseline(samples) {
+    if (samples.length === 0) return -100;
+
+    const volumes = samples.map((s) => s.volume).sort((a, b) => a - b);
+    const percentileIndex = Math.floor(
+      volumes.length * this.settings.baselinePercentile,
+    );
+    return volumes[percentileIndex];
+  }
+}
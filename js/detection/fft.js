@@ -0,0 +1,46 @@
+// Shared FFT for the offline detectors
+
+/**
+ * In-place iterative radix-2 FFT
+ *
+ * @param {Float32Array} real - Real parts, length must be a power of two
+ * @param {Float32Array} imag - Imaginary parts, same length
+ */
+export function fft(real, imag) {
+  const n = real.length;
+
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1;
+    for (; j & bit; bit >>= 1) j ^= bit;
+    j ^= bit;
+    if (i < j) {
+      [real[i], real[j]] = [real[j], real[i]];
+      [imag[i], imag[j]] = [imag[j], imag[i]];
+    }
+  }
+
+  for (let size = 2; size <= n; size <<= 1) {
+    const angle = (-2 * Math.PI) / size;
+    const stepReal = Math.cos(angle);
+    const stepImag = Math.sin(angle);
+
+    for (let start = 0; start < n; start += size) {
+      let wReal = 1;
+      let wImag = 0;
+      for (let k = 0; k < size / 2; k++) {
+        const even = start + k;
+        const odd = even + size / 2;
+        const tReal = wReal * real[odd] - wImag * imag[odd];
+        const tImag = wReal * imag[odd] + wImag * real[odd];
+        real[odd] = real[even] - tReal;
+        imag[odd] = imag[even] - tImag;
+        real[even] += tReal;
+        imag[even] += tImag;
+
+        const nextReal = wReal * stepReal - wImag * stepImag;
+        wImag = wReal * stepImag + wImag * stepReal;
+        wReal = nextReal;
+      }
+    }
+  }
+}
@@ -0,0 +1,135 @@
+// Incremental event detection while recording
+// Feeds microphone samples to analysisWorker.js in blocks and asks for an
+// event snapshot periodically; finish() is the quick reconciliation pass
+
+import { AnalysisWorkerClient } from "./analysisWorkerClient.js";
+
+const BLOCK_DURATION_MS = 10 * 1000; // Samples sent to the worker per block
+const SNAPSHOT_INTERVAL_MS = 30 * 1000; // How often the events list refreshes
+
+export class LiveAnalyzer {
+  /**
+   * @param {Object} settings - Detection settings (see detectionSettings.js)
+   */
+  constructor(settings) {
+    this.settings = settings;
+    this.worker = new AnalysisWorkerClient();
+    this.onEvents = null; // (events, duration) => void
+    this.sampleRate = null;
+    this.block = null;
+    this.blockLength = 0;
+    this.processedSamples = 0;
+    this.lastSnapshotTime = 0;
+    this.snapshotPending = false;
+  }
+
+  start() {
+    this.worker.start();
+    this.worker
+      .post({ type: "start", settings: this.settings })
+      .catch((error) => {
+        console.error("[LiveAnalyzer] Failed to start:", error);
+      });
+  }
+
+  /**
+   * Append microphone samples (from the recorder's capture worklet)
+   *
+   * @param {Float32Array} samples - Mono PCM samples
+   * @param {number} sampleRate - Sample rate of the recording graph
+   */
+  addSamples(samples, sampleRate) {
+    if (!this.worker.isRunning()) return;
+
+    if (!this.block) {
+      this.sampleRate = sampleRate;
+      this.block = new Float32Array(
+        Math.round((BLOCK_DURATION_MS / 1000) * sampleRate),
+      );
+    }
+
+    let offset = 0;
+    while (offset < samples.length) {
+      const count = Math.min(
+        samples.length - offset,
+        this.block.length - this.blockLength,
+      );
+      this.block.set(
+        samples.subarray(offset, offset + count),
+        this.blockLength,
+      );
+      this.blockLength += count;
+      offset += count;
+
+      if (this.blockLength === this.block.length) {
+        this.flushBlock();
+      }
+    }
+  }
+
+  flushBlock() {
+    if (!this.block || this.blockLength === 0) return;
+
+    const channelData = this.block.slice(0, this.blockLength);
+    const timeOffsetMs = (this.processedSamples / this.sampleRate) * 1000;
+    this.processedSamples += this.blockLength;
+    this.blockLength = 0;
+
+    this.worker
+      .post(
+        {
+          type: "samples",
+          channelData,
+          sampleRate: this.sampleRate,
+          timeOffsetMs,
+        },
+        [channelData.buffer],
+      )
+      .catch((error) => {
+        console.error("[LiveAnalyzer] Failed to analyze block:", error);
+      });
+
+    const elapsedMs =
+      timeOffsetMs + (channelData.length / this.sampleRate) * 1000;
+    if (elapsedMs - this.lastSnapshotTime >= SNAPSHOT_INTERVAL_MS) {
+      this.lastSnapshotTime = elapsedMs;
+      this.requestSnapshot();
+    }
+  }
+
+  async requestSnapshot() {
+    // Skip if the worker is still busy with the previous snapshot
+    if (this.snapshotPending) return;
+
+    this.snapshotPending = true;
+    try {
+      const { events, duration } = await this.worker.post({
+        type: "snapshot",
+      });
+      console.log(`[LiveAnalyzer] ${events.length} events so far`);
+      if (this.onEvents) this.onEvents(events, duration);
+    } catch (error) {
+      console.warn("[LiveAnalyzer] Snapshot failed:", error);
+    } finally {
+      this.snapshotPending = false;
+    }
+  }
+
+  /**
+   * Analyze the remaining samples and return the final result
+   *
+   * @returns {Promise<{events: Array, baseline: number, baselineCurve: Array, duration: number}>}
+   */
+  async finish() {
+    this.flushBlock();
+    try {
+      return await this.worker.post({ type: "finish" });
+    } finally {
+      this.worker.stop();
+    }
+  }
+
+  cancel() {
+    this.worker.stop();
+  }
+}
@@ -0,0 +1,135 @@
+// Snoring episode detection
+// Collapses runs of rhythmic snore breaths into one episode. Breaths are the
+// raw noise bursts, as the event buffers merge breaths a few seconds apart
+
+// Breath-to-breath interval range for snoring
+const MIN_BREATH_PERIOD_MS = 2000;
+const MAX_BREATH_PERIOD_MS = 10000;
+// Allowed deviation of an interval from the episode's running average
+const PERIOD_TOLERANCE = 0.35;
+// Breaths required before a run counts as an episode
+const MIN_EPISODE_BREATHS = 4;
+
+export class SnoringDetector {
+  /**
+   * Replace events made of rhythmic snore breaths with snoring episodes
+   *
+   * @param {Array} events - Classified events sorted by start time
+   * @param {Array} bursts - Classified noise bursts (no buffers, not merged)
+   *   sorted by start time
+   * @returns {Array} Events with breaths collapsed into episodes, sorted by start time
+   */
+  groupEpisodes(events, bursts) {
+    const breaths = bursts.filter((burst) => burst.category === "snore");
+    const episodes = [];
+    let run = [];
+    let averagePeriod = null;
+
+    const closeRun = () => {
+      if (run.length >= MIN_EPISODE_BREATHS) {
+        episodes.push(this.createEpisode(run));
+      }
+      run = [];
+      averagePeriod = null;
+    };
+
+    for (const breath of breaths) {
+      if (run.length === 0) {
+        run.push(breath);
+        continue;
+      }
+
+      const interval =
+        this.getBreathTime(breath) - this.getBreathTime(run[run.length - 1]);
+      const inRange =
+        interval >= MIN_BREATH_PERIOD_MS && interval <= MAX_BREATH_PERIOD_MS;
+      const regular =
+        averagePeriod === null ||
+        Math.abs(interval - averagePeriod) <= averagePeriod * PERIOD_TOLERANCE;
+
+      if (inRange && regular) {
+        run.push(breath);
+        averagePeriod =
+          averagePeriod === null
+            ? interval
+            : averagePeriod + (interval - averagePeriod) / (run.length - 1);
+      } else {
+        closeRun();
+        run.push(breath);
+      }
+    }
+    closeRun();
+
+    if (episodes.length === 0) return events;
+
+    // An event goes into the episode when all its bursts are episode breaths
+    const grouped = new Set(episodes.flatMap((episode) => episode.breaths));
+    const absorbed = new Set();
+    for (const episode of episodes) {
+      for (const event of events) {
+        if (
+          event.type !== "noise" ||
+          event.endTime < episode.startTime ||
+          event.startTime > episode.endTime
+        ) {
+          continue;
+        }
+
+        const eventBursts = bursts.filter(
+          (burst) =>
+            burst.startTime < event.endTime && burst.endTime > event.startTime,
+        );
+        if (eventBursts.every((burst) => grouped.has(burst))) {
+          absorbed.add(event);
+          episode.startTime = Math.min(episode.startTime, event.startTime);
+          episode.endTime = Math.max(episode.endTime, event.endTime);
+        }
+      }
+    }
+
+    console.log(
+      `[SnoringDetector] ${episodes.length} episode(s) from ${grouped.size} breaths`,
+    );
+    return events
+      .filter((event) => !absorbed.has(event))
+      .concat(episodes)
+      .sort((a, b) => a.startTime - b.startTime);
+  }
+
+  createEpisode(breaths) {
+    const times = breaths.map((breath) => this.getBreathTime(breath));
+    const intervals = times.slice(1).map((time, i) => time - times[i]);
+    const averagePeriodMs =
+      intervals.reduce((sum, interval) => sum + interval, 0) / intervals.length;
+
+    // Regularity: 1 when every interval equals the average
+    const deviation =
+      intervals.reduce(
+        (sum, interval) => sum + Math.abs(interval - averagePeriodMs),
+        0,
+      ) /
+      intervals.length /
+      averagePeriodMs;
+
+    return {
+      type: "snoring",
+      startTime: breaths[0].startTime,
+      endTime: breaths[breaths.length - 1].endTime,
+      peakVolume: Math.max(...breaths.map((breath) => breath.peakVolume)),
+      baseline: breaths[0].baseline,
+      category: "snore",
+      confidence: Math.round(Math.max(0, 1 - deviation) * 100) / 100,
+      breathCount: breaths.length,
+      averagePeriodMs: Math.round(averagePeriodMs),
+      // Mean breath peak in dB
+      intensity:
+        breaths.reduce((sum, breath) => sum + breath.peakVolume, 0) /
+        breaths.length,
+      breaths,
+    };
+  }
+
+  getBreathTime(event) {
+    return event.peakTime !== undefined ? event.peakTime : event.startTime;
+  }
+}
@@ -0,0 +1,220 @@
+// Voice activity detection for sleep talking
+// Finds voiced speech by pitch/harmonicity and spectral flatness rather than
+// loudness, so quiet mumbling below the noise threshold is still found
+
+import { fft } from "./fft.js";
+
+const TARGET_SAMPLE_RATE = 8000; // Decimate to ~8kHz (speech band up to 4kHz)
+const FRAME_SIZE = 256; // 32ms frames at 8kHz; timing uses the actual rate
+
+// Voice pitch range
+const MIN_PITCH_HZ = 85;
+const MAX_PITCH_HZ = 400;
+
+// Spectral flatness is measured over the main speech band
+const FLATNESS_MIN_HZ = 300;
+const FLATNESS_MAX_HZ = 3000;
+
+// Frame decision thresholds
+const ENERGY_GATE_DB = 3; // Frame must be this far above the noise floor
+const MIN_HARMONICITY = 0.5; // Normalized autocorrelation at the pitch lag
+const MAX_FLATNESS = 0.35; // 0 = tonal, 1 = white noise
+
+// Noise floor tracker: follows drops instantly, rises slowly
+const FLOOR_RISE_DB_PER_SECOND = 0.5;
+
+// Segment building
+const SEGMENT_HANGOVER_MS = 400; // Bridge pauses between syllables/words
+const MIN_VOICED_MS = 250; // Total voiced time required in a segment
+const MIN_SYLLABLES = 2; // Separate voiced runs required in a segment
+
+export class SpeechDetector {
+  constructor() {
+    this.window = new Float32Array(FRAME_SIZE);
+    for (let i = 0; i < FRAME_SIZE; i++) {
+      this.window[i] = 0.5 - 0.5 * Math.cos((2 * Math.PI * i) / FRAME_SIZE);
+    }
+    this.real = new Float32Array(FRAME_SIZE);
+    this.imag = new Float32Array(FRAME_SIZE);
+    this.reset();
+  }
+
+  reset() {
+    this.voicedFrames = []; // Start times (ms) of voiced frames
+    this.noiseFloor = null;
+    this.frameMs = (FRAME_SIZE / TARGET_SAMPLE_RATE) * 1000; // At the last chunk's rate
+  }
+
+  /**
+   * Scan one decoded chunk and remember its voiced frames
+   *
+   * @param {Float32Array} channelData - Mono PCM samples
+   * @param {number} sampleRate - Sample rate of channelData
+   * @param {number} timeOffsetMs - Chunk start within the recording
+   */
+  processChunk(channelData, sampleRate, timeOffsetMs) {
+    // Integer decimation: 44.1kHz becomes 7350Hz, not 8kHz
+    const { samples: decimated, sampleRate: rate } = this.decimate(
+      channelData,
+      sampleRate,
+    );
+    this.frameMs = (FRAME_SIZE / rate) * 1000;
+    const floorRisePerFrame = (FLOOR_RISE_DB_PER_SECOND * this.frameMs) / 1000;
+    const frame = new Float32Array(FRAME_SIZE);
+    let voicedCount = 0;
+
+    for (
+      let start = 0;
+      start + FRAME_SIZE <= decimated.length;
+      start += FRAME_SIZE
+    ) {
+      let sum = 0;
+      for (let i = 0; i < FRAME_SIZE; i++) {
+        frame[i] = decimated[start + i];
+        sum += frame[i] * frame[i];
+      }
+      const rms = Math.sqrt(sum / FRAME_SIZE);
+      const energyDb = rms > 0 ? Math.max(-100, 20 * Math.log10(rms)) : -100;
+
+      this.noiseFloor =
+        this.noiseFloor === null
+          ? energyDb
+          : Math.min(energyDb, this.noiseFloor + floorRisePerFrame);
+
+      // Skip the expensive analysis for frames at the noise floor
+      if (energyDb < this.noiseFloor + ENERGY_GATE_DB) continue;
+
+      if (
+        this.calculateHarmonicity(frame, rate) >= MIN_HARMONICITY &&
+        this.calculateFlatness(frame, rate) <= MAX_FLATNESS
+      ) {
+        this.voicedFrames.push(timeOffsetMs + (start / rate) * 1000);
+        voicedCount++;
+      }
+    }
+
+    console.log(
+      `[SpeechDetector] ${voicedCount} voiced frames at ${(timeOffsetMs / 1000).toFixed(0)}s`,
+    );
+  }
+
+  /**
+   * Join voiced frames into speech segments
+   *
+   * @param {number} [fromTime] - Ignore voiced frames before this (ms)
+   * @returns {Array<{startTime: number, endTime: number, voicedMs: number, syllables: number}>}
+   */
+  getSegments(fromTime = 0) {
+    const frameMs = this.frameMs;
+    const segments = [];
+    let current = null;
+
+    // Binary search for the first voiced frame at or after fromTime
+    let lo = 0;
+    let hi = this.voicedFrames.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (this.voicedFrames[mid] < fromTime) lo = mid + 1;
+      else hi = mid;
+    }
+
+    for (let i = lo; i < this.voicedFrames.length; i++) {
+      const time = this.voicedFrames[i];
+      if (current && time - current.endTime <= SEGMENT_HANGOVER_MS) {
+        // Consecutive frames continue a syllable, a gap starts a new one
+        if (time - current.endTime > frameMs / 2) current.syllables++;
+        current.endTime = time + frameMs;
+        current.voicedMs += frameMs;
+        continue;
+      }
+
+      if (current) segments.push(current);
+      current = {
+        startTime: time,
+        endTime: time + frameMs,
+        voicedMs: frameMs,
+        syllables: 1,
+      };
+    }
+    if (current) segments.push(current);
+
+    const speech = segments.filter(
+      (segment) =>
+        segment.voicedMs >= MIN_VOICED_MS && segment.syllables >= MIN_SYLLABLES,
+    );
+    console.log(
+      `[SpeechDetector] ${speech.length} speech segments (${segments.length} candidates)`,
+    );
+    return speech;
+  }
+
+  /**
+   * Box-filter and downsample to roughly TARGET_SAMPLE_RATE
+   *
+   * @returns {{samples: Float32Array, sampleRate: number}} sampleRate is the
+   *   actual rate after the integer decimation factor
+   */
+  decimate(channelData, sampleRate) {
+    const factor = Math.max(1, Math.round(sampleRate / TARGET_SAMPLE_RATE));
+    const output = new Float32Array(Math.floor(channelData.length / factor));
+
+    for (let i = 0; i < output.length; i++) {
+      let sum = 0;
+      const offset = i * factor;
+      for (let j = 0; j < factor; j++) sum += channelData[offset + j];
+      output[i] = sum / factor;
+    }
+    return { samples: output, sampleRate: sampleRate / factor };
+  }
+
+  // Peak normalized autocorrelation within the voice pitch range
+  calculateHarmonicity(frame, sampleRate) {
+    const minLag = Math.floor(sampleRate / MAX_PITCH_HZ);
+    const maxLag = Math.ceil(sampleRate / MIN_PITCH_HZ);
+    let best = 0;
+
+    for (let lag = minLag; lag <= maxLag && lag < FRAME_SIZE; lag++) {
+      let cross = 0;
+      let energyA = 0;
+      let energyB = 0;
+      for (let i = 0; i + lag < FRAME_SIZE; i++) {
+        const a = frame[i];
+        const b = frame[i + lag];
+        cross += a * b;
+        energyA += a * a;
+        energyB += b * b;
+      }
+      const norm = Math.sqrt(energyA * energyB);
+      if (norm > 0) best = Math.max(best, cross / norm);
+    }
+    return best;
+  }
+
+  // Geometric mean / arithmetic mean of the power spectrum
+  calculateFlatness(frame, sampleRate) {
+    for (let i = 0; i < FRAME_SIZE; i++) {
+      this.real[i] = frame[i] * this.window[i];
+      this.imag[i] = 0;
+    }
+    fft(this.real, this.imag);
+
+    const binHz = sampleRate / FRAME_SIZE;
+    const firstBin = Math.ceil(FLATNESS_MIN_HZ / binHz);
+    const lastBin = Math.min(
+      FRAME_SIZE / 2,
+      Math.floor(FLATNESS_MAX_HZ / binHz),
+    );
+    let logSum = 0;
+    let sum = 0;
+
+    for (let k = firstBin; k <= lastBin; k++) {
+      const power =
+        this.real[k] * this.real[k] + this.imag[k] * this.imag[k] + 1e-12;
+      logSum += Math.log(power);
+      sum += power;
+    }
+
+    const bins = lastBin - firstBin + 1;
+    return Math.exp(logSum / bins) / (sum / bins);
+  }
+}
@@ -0,0 +1,142 @@
+// Event clips as standalone audio files, encoded with FFmpeg
+import { openFFmpegSession } from "../audio/ffmpegHelper.js";
+import { EVENT_CATEGORIES } from "../detection/eventClassifier.js";
+import { findEventClip } from "../storage/recordingCache.js";
+import { getExportBaseName } from "./sessionExport.js";
+import { createZip } from "./zipWriter.js";
+
+const CLIP_EXTENSION = "webm"; // FFmpegSession.encodeClip writes WebM/Opus
+
+/**
+ * Encode event clips; one clip downloads as is, several as a ZIP archive
+ *
+ * @param {Object} source - Where the audio comes from
+ * @param {Blob} [source.audioBlob] - Full recording
+ * @param {Array} [source.clips] - Stored event clips of a trimmed night, or
+ *   segments of a sound-activated or rolling night
+ * @param {Array<{number: number, event: Object}>} entries - Events with their
+ *   number in the events list
+ * @param {{startTime: number|null}} session
+ * @param {Function} [onProgress] - (done, total) before each clip
+ * @returns {Promise<{blob: Blob, fileName: string, skipped: number}>}
+ *   skipped counts events whose audio was not kept
+ */
+export async function exportClips(source, entries, session, onProgress) {
+  const files = [];
+  let ffmpegSession = null;
+
+  try {
+    for (const [i, { number, event }] of entries.entries()) {
+      if (onProgress) onProgress(i, entries.length);
+
+      let blob;
+      if (source.audioBlob) {
+        // Opened on first use, shared by all clips
+        if (!ffmpegSession) {
+          ffmpegSession = await openFFmpegSession(source.audioBlob);
+        }
+        blob = await ffmpegSession.encodeClip(
+          event.startTime / 1000,
+          (event.endTime - event.startTime) / 1000,
+        );
+      } else {
+        const clip = findEventClip(source.clips, event);
+        if (
+          clip &&
+          clip.startTime === event.startTime &&
+          clip.endTime === event.endTime
+        ) {
+          // Nights trimmed by the retention policy already have one per event
+          blob = clip.blob;
+        } else if (clip) {
+          blob = await encodeFromSegment(clip, event);
+        } else {
+          blob = null;
+        }
+      }
+
+      if (blob) {
+        files.push({
+          name: getClipFileName(number, event, session.startTime),
+          data: blob,
+          lastModified: session.startTime
+            ? session.startTime + event.startTime
+            : Date.now(),
+        });
+      }
+    }
+  } finally {
+    if (ffmpegSession) await ffmpegSession.close();
+  }
+
+  if (files.length === 0) {
+    throw new Error("Audio for these events was not kept");
+  }
+
+  const skipped = entries.length - files.length;
+  if (files.length === 1) {
+    return { blob: files[0].data, fileName: files[0].name, skipped };
+  }
+
+  console.log(`[Export] Packing ${files.length} clips`);
+  return {
+    blob: await createZip(files),
+    fileName: `${getExportBaseName(session.startTime)}-clips.zip`,
+    skipped,
+  };
+}
+
+// Cut an event out of a sound-activated segment or rolling file
+async function encodeFromSegment(segment, event) {
+  const startTime = Math.max(event.startTime, segment.startTime);
+  const endTime = Math.min(event.endTime, segment.endTime);
+  const segmentSession = await openFFmpegSession(segment.blob);
+  try {
+    return await segmentSession.encodeClip(
+      (startTime - segment.startTime) / 1000,
+      (endTime - startTime) / 1000,
+    );
+  } finally {
+    await segmentSession.close();
+  }
+}
+
+/**
+ * Descriptive clip name with the wall-clock time when it is known
+ *
+ * @returns {string} e.g. "event-03_2026-01-02_02-14-05_talking_pet.webm",
+ *   or "event-03_at-4h14m05s_talking.webm" without a start time
+ */
+export function getClipFileName(number, event, startTime) {
+  const time = startTime
+    ? getExportBaseName(startTime + event.startTime)
+        .replace(/^sleep-/, "")
+        .replace("T", "_")
+    : `at-${formatOffset(event.startTime)}`;
+  const category =
+    event.type === "snoring"
+      ? "snoring"
+      : EVENT_CATEGORIES[event.category]?.label;
+  const description = [category, event.annotation?.label]
+    .filter(Boolean)
+    .map(toFileNamePart)
+    .filter(Boolean);
+
+  return `${[`event-${String(number).padStart(2, "0")}`, time, ...description].join("_")}.${CLIP_EXTENSION}`;
+}
+
+function formatOffset(ms) {
+  const total = Math.floor(ms / 1000);
+  const hours = Math.floor(total / 3600);
+  const minutes = String(Math.floor((total % 3600) / 60)).padStart(2, "0");
+  const seconds = String(total % 60).padStart(2, "0");
+  return `${hours}h${minutes}m${seconds}s`;
+}
+
+// Lowercase, without characters file systems or zip tools trip over
+function toFileNamePart(text) {
+  return String(text)
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}-]+/gu, "-")
+    .replace(/^-+|-+$/g, "");
+}
@@ -0,0 +1,225 @@
+// Event list exports for other tools: spreadsheets, Audacity, video players
+// All times are relative to the start of the recording, so cue files line
+// up with the downloaded audio. Peaks are in dBFS, plus approximate dB SPL
+// when the night was recorded with a calibrated microphone
+import { EVENT_CATEGORIES } from "../detection/eventClassifier.js";
+import { getExportBaseName } from "./sessionExport.js";
+
+export const EVENT_EXPORT_FORMATS = {
+  csv: {
+    label: "CSV (spreadsheet)",
+    extension: "csv",
+    mimeType: "text/csv",
+    format: formatCsv,
+  },
+  json: {
+    label: "JSON",
+    extension: "json",
+    mimeType: "application/json",
+    format: formatJson,
+  },
+  audacity: {
+    label: "Audacity labels",
+    extension: "txt",
+    mimeType: "text/plain",
+    format: formatAudacity,
+  },
+  vtt: {
+    label: "WebVTT cues",
+    extension: "vtt",
+    mimeType: "text/vtt",
+    format: formatVtt,
+  },
+  srt: {
+    label: "SRT subtitles",
+    extension: "srt",
+    mimeType: "application/x-subrip",
+    format: formatSrt,
+  },
+};
+
+/**
+ * Export events in one of EVENT_EXPORT_FORMATS
+ *
+ * @param {string} formatId - Key of EVENT_EXPORT_FORMATS
+ * @param {Array<{number: number, event: Object}>} entries - Events with their
+ *   number in the events list, in time order
+ * @param {{name: string|null, startTime: number|null, calibrationOffsetDb: number|null}} session
+ * @returns {{blob: Blob, fileName: string}}
+ */
+export function exportEvents(formatId, entries, session) {
+  const format = EVENT_EXPORT_FORMATS[formatId];
+  if (!format) throw new Error(`Unknown export format: ${formatId}`);
+
+  const rows = entries.map(({ number, event }) =>
+    toRow(number, event, session),
+  );
+  const text = format.format(rows, session);
+
+  return {
+    blob: new Blob([text], { type: `${format.mimeType};charset=utf-8` }),
+    fileName: `${getExportBaseName(session.startTime)}-events.${format.extension}`,
+  };
+}
+
+function toRow(number, event, { startTime, calibrationOffsetDb }) {
+  const category = EVENT_CATEGORIES[event.category];
+  const annotation = event.annotation || {};
+  const hasCalibration =
+    calibrationOffsetDb !== null && calibrationOffsetDb !== undefined;
+  return {
+    number,
+    startTime: event.startTime, // ms
+    endTime: event.endTime,
+    peakDbfs: Math.round(event.peakVolume * 10) / 10,
+    peakDbSpl: hasCalibration
+      ? Math.round(event.peakVolume + calibrationOffsetDb)
+      : null, // Rounded like the level shown in the app
+    category: event.type === "snoring" ? "Snoring episode" : category?.label,
+    confidence: event.confidence ?? null,
+    label: annotation.label || "",
+    starred: !!annotation.starred,
+    note: annotation.note || "",
+    wallClock: startTime
+      ? new Date(startTime + event.startTime).toISOString()
+      : null,
+  };
+}
+
+// "Event 3 • Talking • Pet: that was the cat"
+function describe(row) {
+  const title = [`Event ${row.number}`, row.category, row.label]
+    .filter(Boolean)
+    .join(" • ");
+  return `${row.starred ? "★ " : ""}${title}${row.note ? `: ${row.note}` : ""}`;
+}
+
+function formatCsv(rows) {
+  const header = [
+    "event",
+    "start",
+    "end",
+    "start_seconds",
+    "end_seconds",
+    "duration_seconds",
+    "peak_dbfs",
+    "peak_db_spl",
+    "category",
+    "confidence",
+    "label",
+    "starred",
+    "note",
+    "wall_clock_start",
+  ];
+  const lines = rows.map((row) =>
+    [
+      row.number,
+      formatClock(row.startTime, "."),
+      formatClock(row.endTime, "."),
+      toSeconds(row.startTime),
+      toSeconds(row.endTime),
+      toSeconds(row.endTime - row.startTime),
+      row.peakDbfs,
+      row.peakDbSpl,
+      row.category,
+      row.confidence,
+      row.label,
+      row.starred ? "yes" : "",
+      row.note,
+      row.wallClock,
+    ]
+      .map(csvField)
+      .join(","),
+  );
+  return [header.join(","), ...lines].join("\r\n") + "\r\n";
+}
+
+function formatJson(rows, session) {
+  return JSON.stringify(
+    {
+      name: session.name || null,
+      startTime: session.startTime
+        ? new Date(session.startTime).toISOString()
+        : null,
+      events: rows.map((row) => ({
+        number: row.number,
+        startSeconds: Number(toSeconds(row.startTime)),
+        endSeconds: Number(toSeconds(row.endTime)),
+        durationSeconds: Number(toSeconds(row.endTime - row.startTime)),
+        peakDbfs: row.peakDbfs,
+        peakDbSpl: row.peakDbSpl,
+        category: row.category || null,
+        confidence: row.confidence,
+        label: row.label || null,
+        starred: row.starred,
+        note: row.note || null,
+        wallClockStart: row.wallClock,
+      })),
+    },
+    null,
+    2,
+  );
+}
+
+// Tab-separated "start end text", imported with File > Import > Labels
+function formatAudacity(rows) {
+  return rows
+    .map(
+      (row) =>
+        `${toSeconds(row.startTime, 6)}\t${toSeconds(row.endTime, 6)}\t${oneLine(describe(row))}\n`,
+    )
+    .join("");
+}
+
+function formatVtt(rows) {
+  const cues = rows.map(
+    (row) =>
+      `${row.number}\n${formatClock(row.startTime, ".")} --> ${formatClock(row.endTime, ".")}\n${cueText(describe(row))}\n`,
+  );
+  return ["WEBVTT\n", ...cues].join("\n");
+}
+
+function formatSrt(rows) {
+  return rows
+    .map(
+      (row, i) =>
+        `${i + 1}\n${formatClock(row.startTime, ",")} --> ${formatClock(row.endTime, ",")}\n${oneLine(describe(row))}\n`,
+    )
+    .join("\n");
+}
+
+// HH:MM:SS.mmm (WebVTT) or HH:MM:SS,mmm (SRT)
+function formatClock(ms, separator) {
+  const total = Math.max(0, Math.round(ms));
+  const hours = Math.floor(total / 3600000);
+  const minutes = Math.floor((total % 3600000) / 60000);
+  const seconds = Math.floor((total % 60000) / 1000);
+  const millis = total % 1000;
+  return `${pad(hours, 2)}:${pad(minutes, 2)}:${pad(seconds, 2)}${separator}${pad(millis, 3)}`;
+}
+
+function pad(value, length) {
+  return String(value).padStart(length, "0");
+}
+
+function toSeconds(ms, digits = 3) {
+  return (ms / 1000).toFixed(digits);
+}
+
+function csvField(value) {
+  if (value === null || value === undefined) return "";
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function oneLine(text) {
+  return text.replace(/\s*[\r\n]+\s*/g, " ");
+}
+
+// Cue text must not contain "-->" or blank lines, and is HTML-like
+function cueText(text) {
+  return oneLine(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;");
+}
@@ -0,0 +1,144 @@
+// Session archive: the night's audio plus a JSON manifest in one ZIP file
+// A night recorded in rolling files keeps one audio file per segment, as do
+// nights kept as event clips or sound-activated segments
+import { createZip } from "./zipWriter.js";
+
+export const APP_VERSION = "v25"; // Keep in step with CACHE_NAME in sw.js
+export const MANIFEST_FORMAT = "sleepy-talky-session";
+export const MANIFEST_VERSION = 3; // 2: segments, 3: clipsOnly
+export const MANIFEST_FILE_NAME = "manifest.json";
+
+/**
+ * File extension for recorded or uploaded audio
+ *
+ * @param {string} mimeType
+ * @param {string} [fileName] - Original name of an uploaded file
+ * @returns {string}
+ */
+export function getAudioExtension(mimeType, fileName) {
+  const match = fileName && /\.(\w+)$/.exec(fileName);
+  if (match) return match[1].toLowerCase();
+  return mimeType?.includes("mp4") ? "m4a" : "webm";
+}
+
+/**
+ * Base file name for exports, from the recording start time if known
+ *
+ * @param {number|null} startTime - ms since epoch
+ * @returns {string} e.g. "sleep-2026-01-01T22-30-00"
+ */
+export function getExportBaseName(startTime) {
+  const date = new Date(startTime ?? Date.now());
+  // Local time, as the user saw it when going to bed
+  const local = new Date(date.getTime() - date.getTimezoneOffset() * 60000);
+  return `sleep-${local.toISOString().slice(0, 19).replace(/:/g, "-")}`;
+}
+
+/**
+ * Describe a session; events keep their annotations
+ *
+ * @param {Object} session
+ * @param {string|null} session.name - Library name, or uploaded file name
+ * @param {number|null} session.startTime - Recording start (ms since epoch)
+ * @param {number|null} session.duration - Duration in ms
+ * @param {string} session.mimeType - Audio MIME type
+ * @param {string|null} session.audioFile - Audio file name inside the
+ *   archive, null for a segmented night
+ * @param {Array<{file, startTime, endTime}>} [session.segments] - Audio
+ *   files of a segmented night, times in ms from the start
+ * @param {boolean} [session.clipsOnly] - Segments only cover parts of the
+ *   night (event clips, sound-activated segments), not all of it
+ * @param {boolean} [session.soundActivated] - Recorded in sound-activated mode
+ * @param {number|null} session.baseline - Overall baseline in dB
+ * @param {Object|null} session.settings - Detection settings used
+ * @param {Object|null} [session.capture] - Microphone and processing used,
+ *   with the calibration offset (dBFS to dB SPL) if calibrated
+ * @param {boolean} session.analyzed - false if events were never detected
+ * @param {Array} session.events - Detected events (times in ms from start)
+ * @returns {Object}
+ */
+export function buildManifest({
+  name,
+  startTime,
+  duration,
+  mimeType,
+  audioFile,
+  segments,
+  clipsOnly,
+  soundActivated,
+  baseline,
+  settings,
+  capture,
+  analyzed,
+  events,
+}) {
+  return {
+    format: MANIFEST_FORMAT,
+    formatVersion: MANIFEST_VERSION,
+    appVersion: APP_VERSION,
+    exportedAt: new Date().toISOString(),
+    name: name || null,
+    startTime: startTime ? new Date(startTime).toISOString() : null,
+    duration: duration || null,
+    mimeType: mimeType || null,
+    audioFile,
+    segments: segments || null,
+    clipsOnly: !!clipsOnly,
+    soundActivated: !!soundActivated,
+    baseline: baseline ?? null,
+    settings: settings || null,
+    capture: capture || null,
+    analyzed: !!analyzed,
+    events: events || [],
+  };
+}
+
+/**
+ * Bundle the audio and its manifest into one ZIP archive
+ *
+ * @param {Blob|Array<{startTime, endTime, blob}>} audio - Recording, or the
+ *   files of a segmented or clips-only night
+ * @param {Object} session - See buildManifest(); audioFile and segments are
+ *   filled in
+ * @param {string} [fileName] - Original name of an uploaded file
+ * @returns {Promise<{blob: Blob, fileName: string}>}
+ */
+export async function createSessionArchive(audio, session, fileName) {
+  const baseName = getExportBaseName(session.startTime);
+  const extension = getAudioExtension(session.mimeType, fileName);
+  const lastModified = session.startTime ?? Date.now();
+
+  let audioFile = null;
+  let segments = null;
+  let audioFiles;
+  if (Array.isArray(audio)) {
+    segments = audio.map((segment, i) => ({
+      file: `audio-${String(i + 1).padStart(3, "0")}.${extension}`,
+      startTime: segment.startTime,
+      endTime: segment.endTime,
+    }));
+    audioFiles = audio.map((segment, i) => ({
+      name: segments[i].file,
+      data: segment.blob,
+      lastModified: lastModified + segment.startTime,
+    }));
+  } else {
+    audioFile = `audio.${extension}`;
+    audioFiles = [{ name: audioFile, data: audio, lastModified }];
+  }
+  const manifest = buildManifest({ ...session, audioFile, segments });
+
+  const blob = await createZip([
+    {
+      name: MANIFEST_FILE_NAME,
+      data: JSON.stringify(manifest, null, 2),
+      lastModified,
+    },
+    ...audioFiles,
+  ]);
+
+  console.log(
+    `[Export] Session archive: ${manifest.events.length} event(s), ${blob.size} bytes`,
+  );
+  return { blob, fileName: `${baseName}.zip` };
+}
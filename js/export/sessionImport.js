@@ -0,0 +1,112 @@
+// Read session archives written by sessionExport.js
+import { readZip } from "./zipReader.js";
+import {
+  MANIFEST_FORMAT,
+  MANIFEST_VERSION,
+  MANIFEST_FILE_NAME,
+} from "./sessionExport.js";
+
+/**
+ * @param {File} file
+ * @returns {boolean} true if the file looks like a session archive
+ */
+export function isSessionArchive(file) {
+  return (
+    /\.zip$/i.test(file.name) ||
+    file.type === "application/zip" ||
+    file.type === "application/x-zip-compressed"
+  );
+}
+
+/**
+ * Extract the manifest and audio of a session archive
+ *
+ * @param {Blob} blob - ZIP archive
+ * @returns {Promise<{manifest: Object, audioBlob: Blob|null, segments: Array|null}>}
+ *   segments ({startTime, endTime, blob}) instead of audioBlob for a
+ *   segmented night, or one kept as clips (manifest.clipsOnly)
+ */
+export async function readSessionArchive(blob) {
+  const entries = await readZip(blob);
+
+  const manifestEntry = entries.find(
+    (entry) => entry.name === MANIFEST_FILE_NAME,
+  );
+  if (!manifestEntry) {
+    throw new Error(`No ${MANIFEST_FILE_NAME} in the archive`);
+  }
+
+  let manifest;
+  try {
+    manifest = JSON.parse(await (await manifestEntry.getBlob()).text());
+  } catch {
+    throw new Error(`${MANIFEST_FILE_NAME} is not valid JSON`);
+  }
+  validateManifest(manifest);
+
+  const readAudio = (name) => {
+    const audioEntry = entries.find((entry) => entry.name === name);
+    if (!audioEntry) {
+      throw new Error(`Audio file ${name} missing from the archive`);
+    }
+    return audioEntry.getBlob(manifest.mimeType || "");
+  };
+
+  let audioBlob = null;
+  let segments = null;
+  if (manifest.segments) {
+    segments = [];
+    for (const segment of manifest.segments) {
+      segments.push({
+        startTime: segment.startTime,
+        endTime: segment.endTime,
+        blob: await readAudio(segment.file),
+      });
+    }
+  } else {
+    audioBlob = await readAudio(manifest.audioFile);
+  }
+
+  console.log(
+    `[Import] Session archive: ${manifest.events.length} event(s), app ${manifest.appVersion}`,
+  );
+  return { manifest, audioBlob, segments };
+}
+
+function validateManifest(manifest) {
+  if (!manifest || manifest.format !== MANIFEST_FORMAT) {
+    throw new Error("Not a Sleepy Talky session archive");
+  }
+  if (manifest.formatVersion > MANIFEST_VERSION) {
+    throw new Error("Archive was made by a newer version of the app");
+  }
+  if (manifest.segments) {
+    if (
+      !Array.isArray(manifest.segments) ||
+      // A sound-activated night may have kept nothing
+      (manifest.segments.length === 0 && !manifest.clipsOnly) ||
+      !manifest.segments.every(
+        (segment) =>
+          typeof segment?.file === "string" &&
+          Number.isFinite(segment.startTime) &&
+          Number.isFinite(segment.endTime),
+      )
+    ) {
+      throw new Error("Manifest has invalid segments");
+    }
+  } else if (typeof manifest.audioFile !== "string") {
+    throw new Error("Manifest does not name an audio file");
+  }
+  if (
+    !Array.isArray(manifest.events) ||
+    !manifest.events.every(
+      (event) =>
+        Number.isFinite(event?.startTime) && Number.isFinite(event?.endTime),
+    )
+  ) {
+    throw new Error("Manifest has invalid events");
+  }
+  if (manifest.startTime && Number.isNaN(Date.parse(manifest.startTime))) {
+    throw new Error("Manifest has an invalid start time");
+  }
+}
@@ -0,0 +1,119 @@
+// Minimal ZIP archive reader
+// Reads the archives written by zipWriter.js (stored entries) and deflated
+// entries from other zip tools where DecompressionStream is available
+
+const LOCAL_HEADER_SIGNATURE = 0x04034b50;
+const CENTRAL_HEADER_SIGNATURE = 0x02014b50;
+const END_OF_CENTRAL_DIRECTORY_SIGNATURE = 0x06054b50;
+const END_OF_CENTRAL_DIRECTORY_SIZE = 22;
+const MAX_COMMENT_SIZE = 0xffff;
+const METHOD_STORED = 0;
+const METHOD_DEFLATED = 8;
+
+/**
+ * List the files in a ZIP archive
+ * Stored entries are slices of the archive Blob, so large audio is not copied
+ *
+ * @param {Blob} blob - ZIP archive
+ * @returns {Promise<Array<{name: string, size: number, getBlob: (type?: string) => Promise<Blob>}>>}
+ */
+export async function readZip(blob) {
+  const end = await findEndOfCentralDirectory(blob);
+  const entryCount = end.getUint16(10, true);
+  const directorySize = end.getUint32(12, true);
+  const directoryOffset = end.getUint32(16, true);
+
+  const directory = new DataView(
+    await blob
+      .slice(directoryOffset, directoryOffset + directorySize)
+      .arrayBuffer(),
+  );
+  const decoder = new TextDecoder();
+  const entries = [];
+  let position = 0;
+
+  for (let i = 0; i < entryCount; i++) {
+    if (directory.getUint32(position, true) !== CENTRAL_HEADER_SIGNATURE) {
+      throw new Error("Damaged zip file");
+    }
+
+    const method = directory.getUint16(position + 10, true);
+    const compressedSize = directory.getUint32(position + 20, true);
+    const size = directory.getUint32(position + 24, true);
+    const nameLength = directory.getUint16(position + 28, true);
+    const extraLength = directory.getUint16(position + 30, true);
+    const commentLength = directory.getUint16(position + 32, true);
+    const localOffset = directory.getUint32(position + 42, true);
+    const name = decoder.decode(
+      new Uint8Array(
+        directory.buffer,
+        directory.byteOffset + position + 46,
+        nameLength,
+      ),
+    );
+    position += 46 + nameLength + extraLength + commentLength;
+
+    if (name.endsWith("/")) continue; // Directory
+
+    entries.push({
+      name,
+      size,
+      getBlob: async (type = "") => {
+        const data = await readEntryData(blob, localOffset, compressedSize);
+        return decompress(data, method, type);
+      },
+    });
+  }
+
+  return entries;
+}
+
+async function findEndOfCentralDirectory(blob) {
+  // The record sits at the very end, followed only by an optional comment
+  const searchSize = Math.min(
+    blob.size,
+    END_OF_CENTRAL_DIRECTORY_SIZE + MAX_COMMENT_SIZE,
+  );
+  const tail = new DataView(
+    await blob.slice(blob.size - searchSize).arrayBuffer(),
+  );
+
+  for (let i = searchSize - END_OF_CENTRAL_DIRECTORY_SIZE; i >= 0; i--) {
+    if (tail.getUint32(i, true) === END_OF_CENTRAL_DIRECTORY_SIGNATURE) {
+      return new DataView(tail.buffer, i, END_OF_CENTRAL_DIRECTORY_SIZE);
+    }
+  }
+  throw new Error("Not a zip file");
+}
+
+// Entry data without its local header
+async function readEntryData(blob, localOffset, compressedSize) {
+  const header = new DataView(
+    await blob.slice(localOffset, localOffset + 30).arrayBuffer(),
+  );
+  if (header.getUint32(0, true) !== LOCAL_HEADER_SIGNATURE) {
+    throw new Error("Damaged zip file");
+  }
+
+  // Name and extra field lengths can differ from the central directory
+  const dataOffset =
+    localOffset + 30 + header.getUint16(26, true) + header.getUint16(28, true);
+  return blob.slice(dataOffset, dataOffset + compressedSize);
+}
+
+async function decompress(data, method, type) {
+  if (method === METHOD_STORED) {
+    return data.slice(0, data.size, type);
+  }
+  if (
+    method === METHOD_DEFLATED &&
+    typeof DecompressionStream !== "undefined"
+  ) {
+    const stream = data
+      .stream()
+      .pipeThrough(new DecompressionStream("deflate-raw"));
+    const inflated = await new Response(stream).blob();
+    return inflated.slice(0, inflated.size, type);
+  }
+  throw new Error(`Unsupported zip compression (method ${method})`);
+}
@@ -0,0 +1,124 @@
+// Minimal ZIP archive writer (stored entries, no compression)
+// Audio is already compressed, so entries are stored as is. File contents
+// are referenced as Blob parts, never copied into one big buffer
+
+const LOCAL_HEADER_SIGNATURE = 0x04034b50;
+const CENTRAL_HEADER_SIGNATURE = 0x02014b50;
+const END_OF_CENTRAL_DIRECTORY_SIGNATURE = 0x06054b50;
+const ZIP_VERSION = 20; // 2.0: plain stored entries
+const UTF8_FLAG = 0x0800; // File names are UTF-8
+const MAX_ZIP_SIZE = 0xffffffff; // Larger archives would need ZIP64
+
+const CRC_TABLE = createCrcTable();
+
+/**
+ * Build a ZIP archive in memory
+ *
+ * @param {Array<{name: string, data: Blob|string, lastModified?: number}>} files
+ * @returns {Promise<Blob>} application/zip Blob
+ */
+export async function createZip(files) {
+  const encoder = new TextEncoder();
+  const parts = [];
+  const centralDirectory = [];
+  let offset = 0;
+
+  for (const file of files) {
+    const data =
+      typeof file.data === "string" ? new Blob([file.data]) : file.data;
+    const name = encoder.encode(file.name);
+    const crc = await crc32(data);
+    const { time, date } = toDosDateTime(
+      new Date(file.lastModified ?? Date.now()),
+    );
+
+    const header = new DataView(new ArrayBuffer(30));
+    header.setUint32(0, LOCAL_HEADER_SIGNATURE, true);
+    header.setUint16(4, ZIP_VERSION, true);
+    header.setUint16(6, UTF8_FLAG, true);
+    header.setUint16(8, 0, true); // Stored
+    header.setUint16(10, time, true);
+    header.setUint16(12, date, true);
+    header.setUint32(14, crc, true);
+    header.setUint32(18, data.size, true);
+    header.setUint32(22, data.size, true);
+    header.setUint16(26, name.length, true);
+    header.setUint16(28, 0, true);
+
+    const entry = new DataView(new ArrayBuffer(46));
+    entry.setUint32(0, CENTRAL_HEADER_SIGNATURE, true);
+    entry.setUint16(4, ZIP_VERSION, true);
+    entry.setUint16(6, ZIP_VERSION, true);
+    entry.setUint16(8, UTF8_FLAG, true);
+    entry.setUint16(10, 0, true);
+    entry.setUint16(12, time, true);
+    entry.setUint16(14, date, true);
+    entry.setUint32(16, crc, true);
+    entry.setUint32(20, data.size, true);
+    entry.setUint32(24, data.size, true);
+    entry.setUint16(28, name.length, true);
+    entry.setUint32(42, offset, true); // Other fields stay zero
+    centralDirectory.push(entry, name);
+
+    parts.push(header, name, data);
+    offset += header.byteLength + name.length + data.size;
+    if (offset > MAX_ZIP_SIZE) {
+      throw new Error("Archive too large (over 4 GB)");
+    }
+  }
+
+  const directorySize = centralDirectory.reduce(
+    (sum, part) => sum + part.byteLength,
+    0,
+  );
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, END_OF_CENTRAL_DIRECTORY_SIGNATURE, true);
+  end.setUint16(8, files.length, true);
+  end.setUint16(10, files.length, true);
+  end.setUint32(12, directorySize, true);
+  end.setUint32(16, offset, true);
+
+  return new Blob([...parts, ...centralDirectory, end], {
+    type: "application/zip",
+  });
+}
+
+// CRC-32 of a Blob, read in chunks so large recordings stay out of memory
+async function crc32(blob) {
+  let crc = 0xffffffff;
+  const reader = blob.stream().getReader();
+
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    for (let i = 0; i < value.length; i++) {
+      crc = CRC_TABLE[(crc ^ value[i]) & 0xff] ^ (crc >>> 8);
+    }
+  }
+
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function createCrcTable() {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+}
+
+// MS-DOS timestamp used by ZIP headers (local time, 2-second resolution)
+function toDosDateTime(date) {
+  const year = Math.max(date.getFullYear(), 1980);
+  return {
+    time:
+      (date.getHours() << 11) |
+      (date.getMinutes() << 5) |
+      Math.floor(date.getSeconds() / 2),
+    date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+  };
+}
@@ -0,0 +1,78 @@
+// localStorage persistence for microphone calibrations, one per device
+// A calibration is the offset from dBFS to approximate dB SPL
+
+const STORAGE_KEY = "sleepyTalky.calibrations";
+
+// Assumed level of a quiet bedroom when no sound meter reading is given
+export const QUIET_ROOM_SPL_DB = 30;
+export const MIN_REFERENCE_DB = 0;
+export const MAX_REFERENCE_DB = 120;
+export const CALIBRATION_SECONDS = 10; // Room measurement length
+
+/**
+ * Build a calibration from a room measurement
+ *
+ * @param {number} floorDb - Measured room level (dBFS)
+ * @param {number|null} referenceDb - Sound meter reading (dB SPL) taken at
+ *   the same time, or null to assume a quiet room
+ * @param {string|null} device - Microphone name
+ * @returns {{offsetDb, floorDb, referenceDb, device, calibratedAt}}
+ */
+export function createCalibration(floorDb, referenceDb, device) {
+  return {
+    offsetDb: (referenceDb ?? QUIET_ROOM_SPL_DB) - floorDb,
+    floorDb,
+    referenceDb,
+    device,
+    calibratedAt: Date.now(),
+  };
+}
+
+export class CalibrationStore {
+  /**
+   * All saved calibrations
+   *
+   * @returns {Object} Map of device id to calibration
+   */
+  load() {
+    try {
+      const raw = localStorage.getItem(STORAGE_KEY);
+      const calibrations = raw ? JSON.parse(raw) : {};
+      if (calibrations && typeof calibrations === "object") {
+        return calibrations;
+      }
+      console.warn("[Calibration] Ignoring invalid saved calibrations");
+    } catch (error) {
+      console.error("[Calibration] Failed to load calibrations:", error);
+    }
+    return {};
+  }
+
+  /**
+   * @param {string|null} deviceId - From the track's getSettings()
+   * @returns {Object|null} Calibration of that microphone
+   */
+  get(deviceId) {
+    const calibration = this.load()[deviceId || ""];
+    return Number.isFinite(calibration?.offsetDb) ? calibration : null;
+  }
+
+  save(deviceId, calibration) {
+    this.write({ ...this.load(), [deviceId || ""]: calibration });
+    console.log("[Calibration] Saved calibration:", calibration);
+  }
+
+  remove(deviceId) {
+    const calibrations = this.load();
+    delete calibrations[deviceId || ""];
+    this.write(calibrations);
+  }
+
+  write(calibrations) {
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(calibrations));
+    } catch (error) {
+      console.error("[Calibration] Failed to save calibrations:", error);
+    }
+  }
+}
@@ -0,0 +1,69 @@
+// User annotations on events: { note, label, starred }
+// Stored as event.annotation, only on events the user has annotated
+
+/**
+ * @param {Object} event
+ * @returns {boolean} true if the event has a note, label or star
+ */
+export function hasAnnotation(event) {
+  const annotation = event.annotation;
+  return !!(
+    annotation &&
+    (annotation.note || annotation.label || annotation.starred)
+  );
+}
+
+/**
+ * Carry annotations over to re-analyzed events
+ * Each annotated event goes to the new event it overlaps most; annotations
+ * landing on the same event are merged. Annotations with no overlapping
+ * event are dropped
+ *
+ * @param {Array} previousEvents - Events the user annotated
+ * @param {Array} events - New events (modified in place)
+ * @returns {number} Number of annotations that found no overlapping event
+ */
+export function transferAnnotations(previousEvents, events) {
+  let lost = 0;
+
+  for (const previous of previousEvents) {
+    if (!hasAnnotation(previous)) continue;
+
+    let target = null;
+    let bestOverlap = 0;
+    for (const event of events) {
+      const overlap =
+        Math.min(previous.endTime, event.endTime) -
+        Math.max(previous.startTime, event.startTime);
+      if (overlap > bestOverlap) {
+        bestOverlap = overlap;
+        target = event;
+      }
+    }
+
+    if (!target) {
+      lost++;
+      continue;
+    }
+    target.annotation = mergeAnnotations(
+      target.annotation,
+      previous.annotation,
+    );
+  }
+
+  if (lost > 0) {
+    console.warn(`[Annotations] ${lost} annotation(s) had no matching event`);
+  }
+  return lost;
+}
+
+function mergeAnnotations(existing, incoming) {
+  if (!existing) return { ...incoming };
+
+  const notes = [existing.note, incoming.note].filter(Boolean);
+  return {
+    note: notes.join(" / "),
+    label: existing.label || incoming.label,
+    starred: !!(existing.starred || incoming.starred),
+  };
+}
@@ -0,0 +1,41 @@
+// localStorage persistence for the user-editable event label set
+
+const STORAGE_KEY = "sleepyTalky.eventLabels";
+
+export const DEFAULT_LABELS = ["Me", "Partner", "Pet", "Traffic", "Neighbours"];
+
+export const MAX_LABEL_LENGTH = 40;
+
+export class LabelStore {
+  /**
+   * @returns {string[]} Saved labels, or the defaults
+   */
+  load() {
+    try {
+      const raw = localStorage.getItem(STORAGE_KEY);
+      if (raw) {
+        const labels = JSON.parse(raw);
+        if (
+          Array.isArray(labels) &&
+          labels.every((label) => typeof label === "string")
+        ) {
+          return labels;
+        }
+        console.warn("[Labels] Ignoring invalid saved labels");
+      }
+    } catch (error) {
+      console.error("[Labels] Failed to load labels:", error);
+    }
+
+    return [...DEFAULT_LABELS];
+  }
+
+  save(labels) {
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(labels));
+      console.log("[Labels] Saved labels:", labels);
+    } catch (error) {
+      console.error("[Labels] Failed to save labels:", error);
+    }
+  }
+}
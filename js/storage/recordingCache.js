@@ -1,77 +1,475 @@
 // IndexedDB storage for recordings
+// Each night is stored under its own id; the library lists them newest first.
+// While recording, MediaRecorder chunks are appended to a separate store so an
+// interrupted night can be reassembled on the next launch
 const DB_NAME = "SleepRecorderDB";
-const DB_VERSION = 1;
 const STORE_NAME = "recordings";
+const CHUNK_STORE_NAME = "chunks";
+const LEGACY_RECORDING_ID = "latest"; // Single record before the library
+
+// Schema upgrade steps, applied in order inside the versionchange
+// transaction. Never edit a released step: add a new version instead
+const MIGRATIONS = [
+  {
+    version: 1,
+    description: "Create recordings store",
+    migrate(db) {
+      if (!db.objectStoreNames.contains(STORE_NAME)) {
+        const store = db.createObjectStore(STORE_NAME, { keyPath: "id" });
+        store.createIndex("timestamp", "timestamp", { unique: false });
+      }
+    },
+  },
+  {
+    version: 2,
+    description: "Create chunks store for crash-safe recording",
+    migrate(db) {
+      if (!db.objectStoreNames.contains(CHUNK_STORE_NAME)) {
+        db.createObjectStore(CHUNK_STORE_NAME, {
+          keyPath: ["sessionId", "index"],
+        });
+      }
+    },
+  },
+  {
+    version: 3,
+    description: 'Move the "latest" record into the night library',
+    migrate(db, transaction) {
+      const store = transaction.objectStore(STORE_NAME);
+      const request = store.get(LEGACY_RECORDING_ID);
+
+      request.onsuccess = () => {
+        const legacy = request.result;
+        if (!legacy) return;
+
+        const events = legacy.events || [];
+        store.put({
+          id: `night-${legacy.timestamp}`,
+          name: defaultRecordingName(legacy.timestamp),
+          timestamp: legacy.timestamp, // Saved after stopping, close enough
+          duration: null,
+          blob: legacy.blob,
+          mimeType: legacy.mimeType,
+          events,
+          settings: null,
+          analyzed: events.length > 0,
+        });
+        store.delete(LEGACY_RECORDING_ID);
+      };
+    },
+  },
+];
+
+const DB_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
 
 export class RecordingCache {
   constructor() {
     this.db = null;
+    this.initPromise = null;
+    this.upgradeError = null; // Set when the schema upgrade failed
   }
 
   async init() {
-    return new Promise((resolve, reject) => {
-      const request = indexedDB.open(DB_NAME, DB_VERSION);
+    if (!this.initPromise) {
+      this.initPromise = this.openDatabase().catch((error) => {
+        this.initPromise = null;
+        throw error;
+      });
+    }
+    return this.initPromise;
+  }
 
-      request.onerror = () => reject(request.error);
-      request.onsuccess = () => {
-        this.db = request.result;
-        resolve();
-      };
+  async openDatabase() {
+    try {
+      this.db = await openDB(DB_VERSION, (db, transaction, oldVersion) => {
+        for (const step of MIGRATIONS) {
+          if (step.version <= oldVersion) continue;
 
-      request.onupgradeneeded = (event) => {
-        const db = event.target.result;
-        if (!db.objectStoreNames.contains(STORE_NAME)) {
-          const store = db.createObjectStore(STORE_NAME, { keyPath: "id" });
-          store.createIndex("timestamp", "timestamp", { unique: false });
+          console.log(
+            `[Cache] Migrating to v${step.version}: ${step.description}`,
+          );
+          step.migrate(db, transaction);
         }
-      };
-    });
-  }
+      });
+    } catch (error) {
+      // A failed upgrade aborts its transaction, leaving the old schema and
+      // all recordings untouched. Keep working with that version
+      console.error("[Cache] Database upgrade failed:", error);
+      this.upgradeError = error;
+      const db = await openDB(undefined, null);
 
-  async saveRecording(blob, mimeType, events = []) {
-    if (!this.db) await this.init();
+      // The very first upgrade failed: there is nowhere to store nights
+      if (!db.objectStoreNames.contains(STORE_NAME)) {
+        db.close();
+        throw error;
+      }
+      this.db = db;
+      console.warn(`[Cache] Using database v${this.db.version} as is`);
+    }
 
-    const recording = {
-      id: "latest", // Always overwrite with latest
-      timestamp: Date.now(),
-      blob: blob,
-      mimeType: mimeType,
-      events: events,
+    // Let a newer version of the app in another tab upgrade the schema
+    this.db.onversionchange = () => {
+      console.warn("[Cache] Database upgraded elsewhere, closing");
+      this.db.close();
+      this.db = null;
+      this.initPromise = null;
     };
+  }
 
-    return new Promise((resolve, reject) => {
-      const transaction = this.db.transaction([STORE_NAME], "readwrite");
-      const store = transaction.objectStore(STORE_NAME);
-      const request = store.put(recording);
+  /**
+   * Build a new (unsaved) recording record
+   *
+   * @param {Object} details
+   * @param {Blob} details.blob - Recorded audio
+   * @param {string} details.mimeType - Audio MIME type
+   * @param {number} details.timestamp - Recording start time (ms since epoch)
+   * @param {number} details.duration - Duration in ms
+   * @param {Object} details.settings - Detection settings used for the events
+   * @param {boolean} [details.soundActivated] - Audio is kept as noisy
+   *   segments in `clips`, never as one blob
+   * @param {boolean} [details.segmented] - The whole night is kept as
+   *   consecutive files in `clips` (rolling recording), never as one blob
+   * @param {Object|null} [details.capture] - Microphone and processing used
+   *   (AudioRecorder.captureSettings) and calibrationOffsetDb
+   * @returns {Object} Record to pass to saveRecording()
+   */
+  createRecording({
+    blob,
+    mimeType,
+    timestamp,
+    duration,
+    settings,
+    soundActivated = false,
+    segmented = false,
+    capture = null,
+  }) {
+    return {
+      id: `night-${timestamp}`,
+      name: defaultRecordingName(timestamp),
+      timestamp,
+      duration,
+      blob,
+      mimeType,
+      events: [],
+      settings,
+      soundActivated,
+      segmented,
+      capture,
+    };
+  }
 
-      request.onsuccess = () => resolve();
-      request.onerror = () => reject(request.error);
-    });
+  async saveRecording(recording) {
+    return this.request("readwrite", (store) => store.put(recording));
+  }
+
+  async getRecording(id) {
+    const recording = await this.request("readonly", (store) => store.get(id));
+    return recording || null;
   }
 
   async getLatestRecording() {
     if (!this.db) await this.init();
 
+    // Newest start time first, skipping a night still being recorded
     return new Promise((resolve, reject) => {
       const transaction = this.db.transaction([STORE_NAME], "readonly");
       const store = transaction.objectStore(STORE_NAME);
-      const request = store.get("latest");
+      const request = store.index("timestamp").openCursor(null, "prev");
 
-      request.onsuccess = () => resolve(request.result || null);
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) {
+          resolve(null);
+        } else if (cursor.value.inProgress) {
+          cursor.continue();
+        } else {
+          resolve(cursor.value);
+        }
+      };
       request.onerror = () => reject(request.error);
     });
   }
 
-  async clearRecording() {
+  /**
+   * List stored nights without their audio, newest first
+   *
+   * @returns {Promise<Array<{id, name, timestamp, duration, mimeType, size, eventCount, starred, clipsOnly, soundActivated}>>}
+   */
+  async listRecordings() {
+    const recordings = await this.request("readonly", (store) =>
+      store.getAll(),
+    );
+
+    return recordings
+      .filter((recording) => !recording.inProgress)
+      .map((recording) => ({
+        id: recording.id,
+        name: recording.name || defaultRecordingName(recording.timestamp),
+        timestamp: recording.timestamp,
+        duration: recording.duration || null,
+        mimeType: recording.mimeType,
+        size: getRecordingSize(recording),
+        eventCount: recording.events ? recording.events.length : 0,
+        starred: !!recording.starred,
+        // Full audio was replaced by event clips (retention policy)
+        clipsOnly: !recording.blob && !recording.segmented,
+        soundActivated: !!recording.soundActivated,
+      }))
+      .sort((a, b) => b.timestamp - a.timestamp);
+  }
+
+  async updateRecording(id, changes) {
+    const recording = await this.getRecording(id);
+    if (!recording) throw new Error("Recording not found");
+
+    Object.assign(recording, changes);
+    await this.saveRecording(recording);
+    return recording;
+  }
+
+  async renameRecording(id, name) {
+    return this.updateRecording(id, { name });
+  }
+
+  async setStarred(id, starred) {
+    return this.updateRecording(id, { starred });
+  }
+
+  async deleteRecording(id) {
+    return this.request("readwrite", (store) => store.delete(id));
+  }
+
+  // False on an old schema left by a failed upgrade: nights are only saved
+  // once complete
+  async hasChunkStore() {
+    if (!this.db) await this.init();
+    return this.db.objectStoreNames.contains(CHUNK_STORE_NAME);
+  }
+
+  /**
+   * Mark a night as being recorded; chunks follow via appendChunk()
+   *
+   * @param {Object} recording - Record from createRecording() (blob is null)
+   */
+  async startSession(recording) {
+    if (!(await this.hasChunkStore())) return;
+
+    recording.inProgress = true;
+    return this.saveRecording(recording);
+  }
+
+  /**
+   * Save one MediaRecorder chunk, or one segment of a sound-activated night
+   *
+   * @param {string} sessionId
+   * @param {number} index - Position in the night
+   * @param {Blob} blob
+   * @param {Object} [details] - Segment startTime/endTime (ms into the
+   *   night), or the rolling file a chunk belongs to (segment, segmentStart)
+   */
+  async appendChunk(sessionId, index, blob, details = {}) {
+    if (!(await this.hasChunkStore())) return;
+
+    return this.request(
+      "readwrite",
+      (store) =>
+        store.put({ ...details, sessionId, index, blob, time: Date.now() }),
+      CHUNK_STORE_NAME,
+    );
+  }
+
+  /**
+   * Store the finished night and drop its chunks in one transaction
+   *
+   * @param {Object} recording - Session record with the complete blob
+   */
+  async finishSession(recording) {
+    recording.inProgress = false;
+    if (!(await this.hasChunkStore())) {
+      return this.saveRecording(recording);
+    }
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(
+        [STORE_NAME, CHUNK_STORE_NAME],
+        "readwrite",
+      );
+      transaction.objectStore(STORE_NAME).put(recording);
+      transaction
+        .objectStore(CHUNK_STORE_NAME)
+        .delete(chunkRange(recording.id));
+
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  }
+
+  // Sessions left "in progress" by a tab that was killed while recording
+  async getInterruptedSessions() {
+    const recordings = await this.request("readonly", (store) =>
+      store.getAll(),
+    );
+    return recordings.filter((recording) => recording.inProgress);
+  }
+
+  /**
+   * Reassemble an interrupted session from its stored chunks
+   *
+   * @param {string} id - Session id
+   * @returns {Promise<Object|null>} Recovered night, or null if nothing was saved
+   */
+  async recoverSession(id) {
+    const recording = await this.getRecording(id);
+    if (!recording) return null;
+
+    const chunks = await this.getSessionChunks(id);
+    if (chunks.length === 0) {
+      await this.deleteRecording(id);
+      return null;
+    }
+
+    if (recording.soundActivated) {
+      recording.clips = chunks.map((chunk) => ({
+        startTime: chunk.startTime,
+        endTime: chunk.endTime,
+        blob: chunk.blob,
+      }));
+    } else if (recording.segmented) {
+      recording.clips = joinSegmentChunks(chunks, recording);
+    } else {
+      recording.blob = new Blob(
+        chunks.map((chunk) => chunk.blob),
+        { type: recording.mimeType },
+      );
+    }
+    recording.duration = chunks[chunks.length - 1].time - recording.timestamp;
+    recording.recovered = true;
+    await this.finishSession(recording);
+    return recording;
+  }
+
+  /**
+   * Rebuild the files of a rolling night from its saved chunks; closed files
+   * are not kept in memory while recording
+   *
+   * @param {Object} recording - Session record (segmented)
+   * @returns {Promise<Array<{startTime, endTime, blob}>>}
+   */
+  async getSessionFiles(recording) {
+    const chunks = await this.getSessionChunks(recording.id);
+    return joinSegmentChunks(chunks, recording);
+  }
+
+  async getSessionChunks(id) {
+    if (!(await this.hasChunkStore())) return [];
+
+    return this.request(
+      "readonly",
+      (store) => store.getAll(chunkRange(id)),
+      CHUNK_STORE_NAME,
+    ); // Sorted by index
+  }
+
+  // Run a single request against one store
+  async request(mode, createRequest, storeName = STORE_NAME) {
     if (!this.db) await this.init();
 
     return new Promise((resolve, reject) => {
-      const transaction = this.db.transaction([STORE_NAME], "readwrite");
-      const store = transaction.objectStore(STORE_NAME);
-      const request = store.delete("latest");
+      const transaction = this.db.transaction([storeName], mode);
+      const store = transaction.objectStore(storeName);
+      const request = createRequest(store);
 
-      request.onsuccess = () => resolve();
+      request.onsuccess = () => resolve(request.result);
       request.onerror = () => reject(request.error);
     });
   }
 }
+
+/**
+ * Stored clip holding an event's audio: the clip containing it, else the
+ * one overlapping it most (segments of a sound-activated night)
+ *
+ * @param {Array<{startTime, endTime, blob}>} clips
+ * @param {Object} event
+ * @returns {Object|null}
+ */
+export function findEventClip(clips, event) {
+  let best = null;
+  let bestOverlap = 0;
+  for (const clip of clips || []) {
+    const overlap =
+      Math.min(clip.endTime, event.endTime) -
+      Math.max(clip.startTime, event.startTime);
+    if (overlap > bestOverlap) {
+      best = clip;
+      bestOverlap = overlap;
+    }
+  }
+  return best;
+}
+
+// Rebuild the files of a rolling recording; each file ends where the next
+// one starts, the last one with its last saved chunk
+function joinSegmentChunks(chunks, recording) {
+  const files = new Map();
+  for (const chunk of chunks) {
+    if (!files.has(chunk.segment)) files.set(chunk.segment, []);
+    files.get(chunk.segment).push(chunk);
+  }
+
+  const groups = [...files.values()];
+  return groups.map((group, i) => ({
+    startTime: group[0].segmentStart,
+    endTime:
+      i + 1 < groups.length
+        ? groups[i + 1][0].segmentStart
+        : group[group.length - 1].time - recording.timestamp,
+    blob: new Blob(
+      group.map((chunk) => chunk.blob),
+      { type: recording.mimeType },
+    ),
+  }));
+}
+
+function defaultRecordingName(timestamp) {
+  const date = new Date(timestamp).toLocaleDateString(undefined, {
+    weekday: "short",
+    month: "short",
+    day: "numeric",
+  });
+  return `Night of ${date}`;
+}
+
+function getRecordingSize(recording) {
+  if (recording.blob) return recording.blob.size;
+  return (recording.clips || []).reduce((sum, clip) => sum + clip.blob.size, 0);
+}
+
+// Open the database, running onUpgrade for a version change
+function openDB(version, onUpgrade) {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, version);
+
+    request.onerror = () => reject(request.error);
+    request.onsuccess = () => resolve(request.result);
+    request.onblocked = () => {
+      console.warn("[Cache] Upgrade waiting for other tabs to close");
+    };
+    request.onupgradeneeded = (event) => {
+      if (!onUpgrade) return;
+
+      try {
+        onUpgrade(request.result, request.transaction, event.oldVersion);
+      } catch (error) {
+        request.transaction.abort();
+        console.error("[Cache] Migration step failed:", error);
+      }
+    };
+  });
+}
+
+// Key range covering every chunk of a session
+function chunkRange(sessionId) {
+  return IDBKeyRange.bound([sessionId, 0], [sessionId, Infinity]);
+}
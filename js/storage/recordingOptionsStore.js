@@ -0,0 +1,141 @@
+// localStorage persistence for how nights are recorded: microphone, capture
+// constraints and continuous (in rolling files) or sound-activated recording
+
+const STORAGE_KEY = "sleepyTalky.recordingOptions";
+
+export const DEFAULT_RECORDING_OPTIONS = {
+  soundActivated: false, // Keep only noisy segments instead of the whole night
+  triggerLevelDb: -45, // Level (dBFS) that starts a segment
+  segmentMinutes: 60, // Continuous nights roll over to a new file, 0 = one file
+  deviceId: "", // "" = browser default microphone
+  // Browser voice processing erases quiet sounds, so it is off by default
+  noiseSuppression: false,
+  echoCancellation: false,
+  autoGainControl: false,
+  channelCount: 1,
+  sampleRate: 0, // Hz, 0 = browser default
+};
+
+// Voice processing toggles (getUserMedia constraint names)
+export const PROCESSING_OPTIONS = [
+  { key: "noiseSuppression", label: "Noise suppression" },
+  { key: "echoCancellation", label: "Echo cancellation" },
+  { key: "autoGainControl", label: "Automatic gain control" },
+];
+
+export const CHANNEL_COUNTS = [1, 2];
+export const SAMPLE_RATES = [0, 16000, 22050, 44100, 48000];
+
+export const RECORDING_OPTION_FIELDS = [
+  {
+    key: "triggerLevelDb",
+    label: "Start a segment above",
+    unit: "dBFS, as the Volume meter",
+    min: -90,
+    max: 0,
+  },
+  {
+    key: "segmentMinutes",
+    label: "Continuous: start a new file every",
+    unit: "minutes, 0 = one file for the night",
+    min: 0,
+    max: 240,
+  },
+];
+
+/**
+ * Validate recording options
+ *
+ * @param {Object} options
+ * @returns {Object} Map of field key to error message (empty if valid)
+ */
+export function validateRecordingOptions(options) {
+  const errors = {};
+  for (const key of [
+    "soundActivated",
+    ...PROCESSING_OPTIONS.map((o) => o.key),
+  ]) {
+    if (typeof options[key] !== "boolean") {
+      errors[key] = "Must be on or off";
+    }
+  }
+  if (typeof options.deviceId !== "string") {
+    errors.deviceId = "Unknown microphone";
+  }
+  if (!CHANNEL_COUNTS.includes(options.channelCount)) {
+    errors.channelCount = `Must be one of ${CHANNEL_COUNTS.join(", ")}`;
+  }
+  if (!SAMPLE_RATES.includes(options.sampleRate)) {
+    errors.sampleRate = "Unsupported sample rate";
+  }
+  for (const field of RECORDING_OPTION_FIELDS) {
+    const value = options[field.key];
+    if (!Number.isInteger(value) || value < field.min || value > field.max) {
+      errors[field.key] =
+        `Must be a whole number from ${field.min} to ${field.max}`;
+    }
+  }
+  return errors;
+}
+
+/**
+ * getUserMedia audio constraints for the options
+ * Everything is a preference: an unplugged microphone or an unsupported
+ * rate falls back to what the browser has, see the track's settings
+ *
+ * @param {Object} options
+ * @returns {MediaTrackConstraints}
+ */
+export function getAudioConstraints(options) {
+  const constraints = {
+    channelCount: { ideal: options.channelCount },
+  };
+  for (const { key } of PROCESSING_OPTIONS) {
+    constraints[key] = options[key];
+  }
+  if (options.deviceId) {
+    constraints.deviceId = { ideal: options.deviceId };
+  }
+  if (options.sampleRate) {
+    constraints.sampleRate = { ideal: options.sampleRate };
+  }
+  return constraints;
+}
+
+export class RecordingOptionsStore {
+  /**
+   * Load the saved options, falling back to defaults if missing or invalid
+   *
+   * @returns {Object} Recording options
+   */
+  load() {
+    try {
+      const raw = localStorage.getItem(STORAGE_KEY);
+      if (raw) {
+        const options = { ...DEFAULT_RECORDING_OPTIONS, ...JSON.parse(raw) };
+        const errors = validateRecordingOptions(options);
+
+        if (Object.keys(errors).length === 0) {
+          return options;
+        }
+        console.warn(
+          "[RecordingOptions] Ignoring invalid saved options:",
+          errors,
+        );
+      }
+    } catch (error) {
+      console.error("[RecordingOptions] Failed to load options:", error);
+    }
+
+    return { ...DEFAULT_RECORDING_OPTIONS };
+  }
+
+  save(options) {
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(options));
+      console.log("[RecordingOptions] Saved options:", options);
+    } catch (error) {
+      console.error("[RecordingOptions] Failed to save options:", error);
+    }
+  }
+}
@@ -0,0 +1,71 @@
+// localStorage persistence for the recording retention policy
+
+const STORAGE_KEY = "sleepyTalky.retentionPolicy";
+
+// 0 disables a rule
+export const DEFAULT_RETENTION = {
+  keepNights: 0, // Delete all but the newest N nights
+  clipsOnlyAfterDays: 0, // Replace full audio with event clips after X days
+};
+
+export const RETENTION_FIELDS = [
+  { key: "keepNights", label: "Keep newest nights", unit: "0 = all", max: 365 },
+  {
+    key: "clipsOnlyAfterDays",
+    label: "Keep only event clips after",
+    unit: "days, 0 = never",
+    max: 365,
+  },
+];
+
+/**
+ * Validate a retention policy
+ *
+ * @param {Object} policy
+ * @returns {Object} Map of field key to error message (empty if valid)
+ */
+export function validateRetention(policy) {
+  const errors = {};
+  for (const field of RETENTION_FIELDS) {
+    const value = policy[field.key];
+    if (!Number.isInteger(value) || value < 0 || value > field.max) {
+      errors[field.key] = `Must be a whole number from 0 to ${field.max}`;
+    }
+  }
+  return errors;
+}
+
+export class RetentionStore {
+  /**
+   * Load the saved policy, falling back to defaults if missing or invalid
+   *
+   * @returns {Object} Retention policy
+   */
+  load() {
+    try {
+      const raw = localStorage.getItem(STORAGE_KEY);
+      if (raw) {
+        const policy = { ...DEFAULT_RETENTION, ...JSON.parse(raw) };
+        const errors = validateRetention(policy);
+
+        if (Object.keys(errors).length === 0) {
+          return policy;
+        }
+        console.warn("[Retention] Ignoring invalid saved policy:", errors);
+      }
+    } catch (error) {
+      console.error("[Retention] Failed to load policy:", error);
+    }
+
+    return { ...DEFAULT_RETENTION };
+  }
+
+  save(policy) {
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(policy));
+      console.log("[Retention] Saved policy:", policy);
+    } catch (error) {
+      console.error("[Retention] Failed to save policy:", error);
+    }
+  }
+}
@@ -0,0 +1,111 @@
+// localStorage persistence for the recording schedule (delayed start,
+// scheduled stop)
+
+const STORAGE_KEY = "sleepyTalky.recordingSchedule";
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/; // "HH:MM", as <input type="time">
+
+// 0 / "" disables a rule
+export const DEFAULT_SCHEDULE = {
+  startDelayMinutes: 0, // Wait before recording (falling asleep)
+  stopAt: "", // Local alarm time "HH:MM"
+  maxDurationMinutes: 0, // Stop after recording this long
+};
+
+export const SCHEDULE_FIELDS = [
+  {
+    key: "startDelayMinutes",
+    label: "Start recording after",
+    unit: "min, 0 = right away",
+    max: 720,
+  },
+  {
+    key: "maxDurationMinutes",
+    label: "Stop after",
+    unit: "min, 0 = no limit",
+    max: 1440,
+  },
+];
+
+/**
+ * Validate a recording schedule
+ *
+ * @param {Object} schedule
+ * @returns {Object} Map of field key to error message (empty if valid)
+ */
+export function validateSchedule(schedule) {
+  const errors = {};
+  for (const field of SCHEDULE_FIELDS) {
+    const value = schedule[field.key];
+    if (!Number.isInteger(value) || value < 0 || value > field.max) {
+      errors[field.key] = `Must be a whole number from 0 to ${field.max}`;
+    }
+  }
+  if (schedule.stopAt !== "" && !TIME_PATTERN.test(schedule.stopAt)) {
+    errors.stopAt = "Must be a time like 06:30";
+  }
+  return errors;
+}
+
+/**
+ * Turn a schedule into AudioRecorder.start() options
+ * The stop time is the first time it comes round after recording starts
+ *
+ * @param {Object} schedule
+ * @param {number} now - ms since epoch
+ * @returns {{delayMs: number, stopAt: number|null, maxDurationMs: number}}
+ */
+export function getScheduleTimes(schedule, now) {
+  const delayMs = schedule.startDelayMinutes * MINUTE_MS;
+  let stopAt = null;
+
+  const match = TIME_PATTERN.exec(schedule.stopAt);
+  if (match) {
+    const start = now + delayMs;
+    const stop = new Date(start);
+    stop.setHours(Number(match[1]), Number(match[2]), 0, 0);
+    stopAt = stop.getTime() > start ? stop.getTime() : stop.getTime() + DAY_MS;
+  }
+
+  return {
+    delayMs,
+    stopAt,
+    maxDurationMs: schedule.maxDurationMinutes * MINUTE_MS,
+  };
+}
+
+export class ScheduleStore {
+  /**
+   * Load the saved schedule, falling back to defaults if missing or invalid
+   *
+   * @returns {Object} Recording schedule
+   */
+  load() {
+    try {
+      const raw = localStorage.getItem(STORAGE_KEY);
+      if (raw) {
+        const schedule = { ...DEFAULT_SCHEDULE, ...JSON.parse(raw) };
+        const errors = validateSchedule(schedule);
+
+        if (Object.keys(errors).length === 0) {
+          return schedule;
+        }
+        console.warn("[Schedule] Ignoring invalid saved schedule:", errors);
+      }
+    } catch (error) {
+      console.error("[Schedule] Failed to load schedule:", error);
+    }
+
+    return { ...DEFAULT_SCHEDULE };
+  }
+
+  save(schedule) {
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(schedule));
+      console.log("[Schedule] Saved schedule:", schedule);
+    } catch (error) {
+      console.error("[Schedule] Failed to save schedule:", error);
+    }
+  }
+}
@@ -0,0 +1,46 @@
+// localStorage persistence for detection settings
+import {
+  DEFAULT_SETTINGS,
+  PRESETS,
+  CUSTOM_PRESET,
+  validateSettings,
+} from "../detection/detectionSettings.js";
+
+const STORAGE_KEY = "sleepyTalky.detectionSettings";
+
+export class SettingsStore {
+  /**
+   * Load saved settings, falling back to defaults if missing or invalid
+   *
+   * @returns {{preset: string, settings: Object}}
+   */
+  load() {
+    try {
+      const raw = localStorage.getItem(STORAGE_KEY);
+      if (raw) {
+        const saved = JSON.parse(raw);
+        const settings = { ...DEFAULT_SETTINGS, ...saved.settings };
+        const errors = validateSettings(settings);
+
+        if (Object.keys(errors).length === 0) {
+          const preset = saved.preset in PRESETS ? saved.preset : CUSTOM_PRESET;
+          return { preset, settings };
+        }
+        console.warn("[Settings] Ignoring invalid saved settings:", errors);
+      }
+    } catch (error) {
+      console.error("[Settings] Failed to load settings:", error);
+    }
+
+    return { preset: "default", settings: { ...DEFAULT_SETTINGS } };
+  }
+
+  save(preset, settings) {
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify({ preset, settings }));
+      console.log("[Settings] Saved detection settings:", preset);
+    } catch (error) {
+      console.error("[Settings] Failed to save settings:", error);
+    }
+  }
+}
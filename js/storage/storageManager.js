@@ -0,0 +1,278 @@
+// Storage quota reporting and the retention policy for stored nights
+import { openFFmpegSession } from "../audio/ffmpegHelper.js";
+import { findEventClip } from "./recordingCache.js";
+
+// Rough size of a MediaRecorder night (Opus/AAC at ~128 kbps)
+const EXPECTED_BYTES_PER_HOUR = 60 * 1024 * 1024;
+const EXPECTED_NIGHT_HOURS = 8;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Format a byte count for display ("350 MB", "2.1 GB")
+ *
+ * @param {number} bytes
+ * @returns {string}
+ */
+export function formatBytes(bytes) {
+  if (bytes >= 1024 * 1024 * 1024) {
+    return `${(bytes / 1024 / 1024 / 1024).toFixed(1)} GB`;
+  }
+  return `${Math.round(bytes / 1024 / 1024)} MB`;
+}
+
+export class StorageManager {
+  /**
+   * @param {RecordingCache} recordingCache - Store the policy is applied to
+   */
+  constructor(recordingCache) {
+    this.recordingCache = recordingCache;
+    this.retentionPromise = null;
+  }
+
+  /**
+   * Current storage usage, or null if the browser can't tell
+   *
+   * @returns {Promise<{usage: number, quota: number, persisted: boolean}|null>}
+   */
+  async getEstimate() {
+    if (!navigator.storage || !navigator.storage.estimate) return null;
+
+    try {
+      const { usage, quota } = await navigator.storage.estimate();
+      const persisted = navigator.storage.persisted
+        ? await navigator.storage.persisted()
+        : false;
+      return { usage, quota, persisted };
+    } catch (error) {
+      console.warn("[Storage] Estimate failed:", error);
+      return null;
+    }
+  }
+
+  // Ask the browser not to evict recordings under storage pressure
+  async requestPersistence() {
+    if (!navigator.storage || !navigator.storage.persist) return false;
+
+    try {
+      if (await navigator.storage.persisted()) return true;
+
+      const granted = await navigator.storage.persist();
+      console.log(
+        `[Storage] Persistent storage ${granted ? "granted" : "denied"}`,
+      );
+      return granted;
+    } catch (error) {
+      console.warn("[Storage] Persistence request failed:", error);
+      return false;
+    }
+  }
+
+  /**
+   * Check whether a full night is likely to fit in the remaining quota
+   *
+   * @returns {Promise<{fits: boolean, available: number, needed: number}|null>}
+   *   null if usage is unknown
+   */
+  async checkSpaceForRecording() {
+    const estimate = await this.getEstimate();
+    if (!estimate || !estimate.quota) return null;
+
+    const available = estimate.quota - estimate.usage;
+    const needed = EXPECTED_BYTES_PER_HOUR * EXPECTED_NIGHT_HOURS;
+    return { fits: available >= needed, available, needed };
+  }
+
+  /**
+   * Delete or trim old nights according to the policy
+   * Starred nights and the night currently open are never touched
+   *
+   * @param {Object} policy - See retentionStore.js
+   * @param {Function} getProtectedId - () => id of the open night or null;
+   *   asked again before each night, another one may be opened meanwhile
+   * @returns {Promise<{deleted: number, trimmed: number}>}
+   */
+  async applyRetention(policy, getProtectedId) {
+    // One pass at a time; trimming runs FFmpeg and can take a while
+    if (this.retentionPromise) return this.retentionPromise;
+
+    this.retentionPromise = this.runRetention(policy, getProtectedId);
+    try {
+      return await this.retentionPromise;
+    } finally {
+      this.retentionPromise = null;
+    }
+  }
+
+  async runRetention(policy, getProtectedId) {
+    const recordings = await this.recordingCache.listRecordings(); // Newest first
+    const isProtected = (recording) =>
+      recording.starred || recording.id === getProtectedId();
+    let deleted = 0;
+    let trimmed = 0;
+
+    if (policy.keepNights > 0) {
+      for (const recording of recordings.slice(policy.keepNights)) {
+        if (isProtected(recording)) continue;
+
+        await this.recordingCache.deleteRecording(recording.id);
+        recording.deleted = true;
+        deleted++;
+      }
+    }
+
+    if (policy.clipsOnlyAfterDays > 0) {
+      const cutoff = Date.now() - policy.clipsOnlyAfterDays * DAY_MS;
+      for (const recording of recordings) {
+        if (
+          recording.deleted ||
+          isProtected(recording) ||
+          recording.clipsOnly ||
+          recording.timestamp > cutoff
+        ) {
+          continue;
+        }
+
+        try {
+          if (await this.trimToClips(recording.id, isProtected)) trimmed++;
+        } catch (error) {
+          console.error(`[Storage] Failed to trim ${recording.id}:`, error);
+        }
+      }
+    }
+
+    if (deleted || trimmed) {
+      console.log(
+        `[Storage] Retention: deleted ${deleted}, trimmed ${trimmed} night(s)`,
+      );
+    }
+    return { deleted, trimmed };
+  }
+
+  /**
+   * Replace a night's full audio with one clip per event
+   *
+   * @param {string} id
+   * @param {Function} [isProtected] - (recording) => true to leave it alone,
+   *   checked on the stored night before and after encoding
+   * @returns {Promise<boolean>} false if the night was left alone
+   */
+  async trimToClips(id, isProtected = () => false) {
+    const recording = await this.recordingCache.getRecording(id);
+    if (!recording || (!recording.blob && !recording.segmented)) return false;
+    if (isProtected(recording)) return false;
+
+    // Keep the audio of nights that were never analyzed
+    const events = recording.events || [];
+    if (!recording.analyzed && events.length === 0) return false;
+
+    // Rolling recordings are cut file by file; an event running into the
+    // next file keeps the part in the file holding most of it
+    const files = recording.blob
+      ? [{ startTime: 0, endTime: Infinity, blob: recording.blob }]
+      : recording.clips;
+    const clips = [];
+    for (const file of files) {
+      const fileEvents = events.filter(
+        (event) => findEventClip(files, event) === file,
+      );
+      if (fileEvents.length === 0) continue;
+
+      const session = await openFFmpegSession(file.blob);
+      try {
+        for (const event of fileEvents) {
+          const startTime = Math.max(event.startTime, file.startTime);
+          const endTime = Math.min(event.endTime, file.endTime);
+          const blob = await session.encodeClip(
+            (startTime - file.startTime) / 1000,
+            (endTime - startTime) / 1000,
+          );
+          clips.push({ startTime, endTime, blob });
+        }
+      } finally {
+        await session.close();
+      }
+    }
+
+    // Encoding takes a while: the night may have been deleted, starred,
+    // opened or re-analyzed meanwhile. Re-read, so changes saved meanwhile
+    // (names, annotations) are kept
+    const current = await this.recordingCache.getRecording(id);
+    if (!current || isProtected(current) || !sameEvents(current, events)) {
+      console.log(`[Storage] ${id} changed while trimming, left alone`);
+      return false;
+    }
+    const size = files.reduce((sum, file) => sum + file.blob.size, 0);
+    await this.recordingCache.updateRecording(id, {
+      blob: null,
+      clips,
+      segmented: false,
+    });
+
+    const clipsSize = clips.reduce((sum, clip) => sum + clip.blob.size, 0);
+    console.log(
+      `[Storage] Trimmed ${id} to ${clips.length} clip(s): ${formatBytes(size)} -> ${formatBytes(clipsSize)}`,
+    );
+    return true;
+  }
+
+  /**
+   * Compress the WAV segments of a sound-activated night to Opus
+   *
+   * @param {string} id
+   * @param {Function} [onProgress] - (done, total) before each segment
+   * @returns {Promise<Object|null>} Updated night, or null if there was
+   *   nothing to compress
+   */
+  async compressSegments(id, onProgress) {
+    const recording = await this.recordingCache.getRecording(id);
+    const segments = recording?.clips || [];
+    const isWav = (segment) => segment.blob.type === "audio/wav";
+    if (!recording?.soundActivated || !segments.some(isWav)) return null;
+
+    const clips = [];
+    for (const [i, segment] of segments.entries()) {
+      if (onProgress) onProgress(i, segments.length);
+      if (!isWav(segment)) {
+        clips.push(segment);
+        continue;
+      }
+
+      const session = await openFFmpegSession(segment.blob);
+      try {
+        const blob = await session.encodeClip(
+          0,
+          (segment.endTime - segment.startTime) / 1000,
+        );
+        clips.push({ ...segment, blob });
+      } finally {
+        await session.close();
+      }
+    }
+
+    // Re-read, so changes saved meanwhile (annotations) are kept
+    const size = segments.reduce((sum, clip) => sum + clip.blob.size, 0);
+    const updated = await this.recordingCache.updateRecording(id, {
+      clips,
+      mimeType: clips[0].blob.type,
+    });
+
+    const clipsSize = clips.reduce((sum, clip) => sum + clip.blob.size, 0);
+    console.log(
+      `[Storage] Compressed ${clips.length} segment(s) of ${id}: ${formatBytes(size)} -> ${formatBytes(clipsSize)}`,
+    );
+    return updated;
+  }
+}
+
+// Clips were cut for these events; a re-analysis makes them stale
+function sameEvents(recording, events) {
+  const current = recording.events || [];
+  return (
+    current.length === events.length &&
+    current.every(
+      (event, i) =>
+        event.startTime === events[i].startTime &&
+        event.endTime === events[i].endTime,
+    )
+  );
+}
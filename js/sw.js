@@ -1,5 +1,5 @@
 // Service Worker for Sleepy Talky PWA
-const CACHE_NAME = "sleepy-talky-v5"; // Bumped for wake lock + detection fix
+const CACHE_NAME = "sleepy-talky-v25"; // Bumped for rolling recording files
 const RUNTIME_CACHE = "sleepy-talky-runtime";
 
 // Detect base path from service worker location
@@ -22,9 +22,44 @@ const STATIC_ASSETS = [
   `${BASE_PATH}/js/audio/recorder.js`,
   `${BASE_PATH}/js/audio/player.js`,
   `${BASE_PATH}/js/audio/ffmpegHelper.js`,
+  `${BASE_PATH}/js/audio/wavDecoder.js`,
+  `${BASE_PATH}/js/audio/wavEncoder.js`,
+  `${BASE_PATH}/js/audio/captureWorklet.js`,
+  `${BASE_PATH}/js/audio/highlightsBuilder.js`,
+  `${BASE_PATH}/js/audio/segmentRecorder.js`,
+  `${BASE_PATH}/js/audio/levelMeter.js`,
   `${BASE_PATH}/js/detection/audioAnalyzer.js`,
+  `${BASE_PATH}/js/detection/analysisWorker.js`,
+  `${BASE_PATH}/js/detection/analysisWorkerClient.js`,
+  `${BASE_PATH}/js/detection/liveAnalyzer.js`,
+  `${BASE_PATH}/js/detection/eventDetector.js`,
+  `${BASE_PATH}/js/detection/detectionSettings.js`,
+  `${BASE_PATH}/js/detection/eventClassifier.js`,
+  `${BASE_PATH}/js/detection/speechDetector.js`,
+  `${BASE_PATH}/js/detection/snoringDetector.js`,
+  `${BASE_PATH}/js/detection/fft.js`,
   `${BASE_PATH}/js/storage/recordingCache.js`,
+  `${BASE_PATH}/js/storage/settingsStore.js`,
+  `${BASE_PATH}/js/storage/retentionStore.js`,
+  `${BASE_PATH}/js/storage/scheduleStore.js`,
+  `${BASE_PATH}/js/storage/recordingOptionsStore.js`,
+  `${BASE_PATH}/js/storage/calibrationStore.js`,
+  `${BASE_PATH}/js/storage/storageManager.js`,
+  `${BASE_PATH}/js/storage/labelStore.js`,
+  `${BASE_PATH}/js/storage/eventAnnotations.js`,
+  `${BASE_PATH}/js/export/zipWriter.js`,
+  `${BASE_PATH}/js/export/sessionExport.js`,
+  `${BASE_PATH}/js/export/zipReader.js`,
+  `${BASE_PATH}/js/export/sessionImport.js`,
+  `${BASE_PATH}/js/export/eventFormats.js`,
+  `${BASE_PATH}/js/export/clipExport.js`,
   `${BASE_PATH}/js/ui/uiManager.js`,
+  `${BASE_PATH}/js/ui/settingsPanel.js`,
+  `${BASE_PATH}/js/ui/libraryPanel.js`,
+  `${BASE_PATH}/js/ui/labelsPanel.js`,
+  `${BASE_PATH}/js/ui/schedulePanel.js`,
+  `${BASE_PATH}/js/ui/recordingOptionsPanel.js`,
+  `${BASE_PATH}/js/ui/calibrationPanel.js`,
   `${BASE_PATH}/js/visualizers/visualizationManager.js`,
   `${BASE_PATH}/js/visualizers/frequencyBands.js`,
   `${BASE_PATH}/js/visualizers/spectral.js`,
@@ -0,0 +1,146 @@
+// Microphone calibration: measure the quiet room, optionally enter a sound
+// meter reading, and manage the saved per-microphone offsets
+import {
+  CALIBRATION_SECONDS,
+  MAX_REFERENCE_DB,
+  MIN_REFERENCE_DB,
+  QUIET_ROOM_SPL_DB,
+} from "../storage/calibrationStore.js";
+
+export class CalibrationPanel {
+  constructor(container) {
+    this.container = container;
+    this.onMeasure = null; // () => void
+    this.onSave = null; // (referenceDb|null) => void
+    this.onRemove = null; // (deviceId) => void
+    this.measureBtn = null;
+  }
+
+  /**
+   * @param {Object} calibrations - CalibrationStore.load() result
+   * @param {Object|null} measurement - measureRoomLevel() result to save
+   */
+  render(calibrations, measurement) {
+    if (!this.container) {
+      console.warn("[Calibration] Container element not found");
+      return;
+    }
+
+    this.container.innerHTML = "";
+
+    const form = document.createElement("form");
+    form.className = "settings-form";
+
+    const title = document.createElement("div");
+    title.className = "settings-row";
+    title.textContent =
+      "Microphone calibration (levels in approximate dB SPL instead of dBFS)";
+    form.appendChild(title);
+
+    for (const [deviceId, calibration] of Object.entries(calibrations)) {
+      const row = document.createElement("div");
+      row.className = "settings-row";
+      const date = new Date(calibration.calibratedAt).toLocaleDateString();
+      const reference =
+        calibration.referenceDb === null
+          ? "quiet room assumed"
+          : `sound meter ${calibration.referenceDb} dB SPL`;
+      row.textContent = `${calibration.device || "Default microphone"}: room ${calibration.floorDb.toFixed(1)} dBFS, ${reference}, ${date} `;
+      row.appendChild(
+        this.createButton("Remove", () => {
+          if (this.onRemove) this.onRemove(deviceId);
+        }),
+      );
+      form.appendChild(row);
+    }
+
+    const help = document.createElement("div");
+    help.className = "settings-row";
+    help.textContent =
+      "Uses the microphone and options saved above. Keep the room as quiet as at night while measuring.";
+    form.appendChild(help);
+
+    const buttons = document.createElement("div");
+    buttons.className = "settings-buttons";
+    this.measureBtn = this.createButton(
+      `Measure Quiet Room (${CALIBRATION_SECONDS} s)`,
+      () => {
+        if (this.onMeasure) this.onMeasure();
+      },
+    );
+    buttons.appendChild(this.measureBtn);
+    form.appendChild(buttons);
+
+    if (measurement) {
+      this.renderMeasurement(form, measurement);
+    }
+
+    this.container.appendChild(form);
+  }
+
+  renderMeasurement(form, measurement) {
+    const result = document.createElement("div");
+    result.className = "settings-row";
+    result.textContent = `Room level: ${measurement.levelDb.toFixed(1)} dBFS on ${measurement.device || "the default microphone"}`;
+    form.appendChild(result);
+
+    const row = document.createElement("label");
+    row.className = "settings-row";
+    row.textContent = `Sound meter reading (dB SPL, empty = quiet room, ${QUIET_ROOM_SPL_DB} dB)`;
+    const input = document.createElement("input");
+    input.type = "number";
+    input.min = MIN_REFERENCE_DB;
+    input.max = MAX_REFERENCE_DB;
+    input.step = 0.1;
+    row.appendChild(input);
+    const error = document.createElement("span");
+    error.className = "settings-error";
+    row.appendChild(error);
+    form.appendChild(row);
+
+    form.onsubmit = (e) => {
+      e.preventDefault();
+      const referenceDb = input.value === "" ? null : Number(input.value);
+      const valid =
+        referenceDb === null ||
+        (Number.isFinite(referenceDb) &&
+          referenceDb >= MIN_REFERENCE_DB &&
+          referenceDb <= MAX_REFERENCE_DB);
+
+      error.textContent = valid
+        ? ""
+        : `Must be a level from ${MIN_REFERENCE_DB} to ${MAX_REFERENCE_DB}`;
+      input.classList.toggle("invalid", !valid);
+      if (valid && this.onSave) this.onSave(referenceDb);
+    };
+
+    const buttons = document.createElement("div");
+    buttons.className = "settings-buttons";
+    const saveBtn = document.createElement("button");
+    saveBtn.type = "submit";
+    saveBtn.className = "display-btn";
+    saveBtn.textContent = "Save Calibration";
+    buttons.appendChild(saveBtn);
+    form.appendChild(buttons);
+  }
+
+  // Countdown on the measure button; null when done
+  setMeasuring(secondsLeft) {
+    if (!this.measureBtn) return;
+
+    this.measureBtn.disabled = secondsLeft !== null;
+    this.measureBtn.textContent =
+      secondsLeft === null
+        ? `Measure Quiet Room (${CALIBRATION_SECONDS} s)`
+        : `Measuring... ${secondsLeft} s`;
+  }
+
+  createButton(label, onClick) {
+    const button = document.createElement("button");
+    button.type = "button";
+    button.className = "display-btn";
+    button.textContent = label;
+    button.onclick = onClick;
+    return button;
+  }
+}
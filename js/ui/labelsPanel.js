@@ -0,0 +1,88 @@
+// Editor for the set of labels that can be attached to events
+import { MAX_LABEL_LENGTH } from "../storage/labelStore.js";
+
+export class LabelsPanel {
+  constructor(container) {
+    this.container = container;
+    this.onChange = null; // (labels) => void
+  }
+
+  render(labels) {
+    if (!this.container) {
+      console.warn("[Labels] Container element not found");
+      return;
+    }
+
+    this.container.innerHTML = "";
+
+    const form = document.createElement("form");
+    form.className = "settings-form";
+
+    const title = document.createElement("div");
+    title.className = "settings-row";
+    title.textContent = "Event labels";
+    form.appendChild(title);
+
+    const list = document.createElement("div");
+    list.className = "label-list";
+    for (const label of labels) {
+      const chip = document.createElement("span");
+      chip.className = "event-label";
+      chip.textContent = label;
+
+      const remove = document.createElement("button");
+      remove.type = "button";
+      remove.className = "label-remove";
+      remove.textContent = "×";
+      remove.title = `Remove "${label}"`;
+      remove.onclick = () =>
+        this.change(labels.filter((other) => other !== label));
+      chip.appendChild(remove);
+
+      list.appendChild(chip);
+    }
+    form.appendChild(list);
+
+    const row = document.createElement("label");
+    row.className = "settings-row";
+    row.textContent = "New label";
+    const input = document.createElement("input");
+    input.type = "text";
+    input.maxLength = MAX_LABEL_LENGTH;
+    row.appendChild(input);
+    const error = document.createElement("span");
+    error.className = "settings-error";
+    row.appendChild(error);
+    form.appendChild(row);
+
+    form.onsubmit = (e) => {
+      e.preventDefault();
+      const label = input.value.trim();
+      const message = !label
+        ? "Enter a label"
+        : labels.some((other) => other.toLowerCase() === label.toLowerCase())
+          ? "Label already exists"
+          : "";
+
+      error.textContent = message;
+      input.classList.toggle("invalid", !!message);
+      if (!message) this.change([...labels, label]);
+    };
+
+    const buttons = document.createElement("div");
+    buttons.className = "settings-buttons";
+    const addBtn = document.createElement("button");
+    addBtn.type = "submit";
+    addBtn.className = "display-btn";
+    addBtn.textContent = "Add Label";
+    buttons.appendChild(addBtn);
+    form.appendChild(buttons);
+
+    this.container.appendChild(form);
+  }
+
+  change(labels) {
+    this.render(labels);
+    if (this.onChange) this.onChange(labels);
+  }
+}
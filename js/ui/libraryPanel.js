@@ -0,0 +1,219 @@
+// List of stored nights with open, rename and delete actions, plus storage
+// usage and the retention policy
+import { formatBytes } from "../storage/storageManager.js";
+import {
+  RETENTION_FIELDS,
+  validateRetention,
+} from "../storage/retentionStore.js";
+
+export class LibraryPanel {
+  constructor(container) {
+    this.container = container;
+    this.onOpen = null; // (id) => void
+    this.onRename = null; // (id, name) => void
+    this.onDelete = null; // (id) => void
+    this.onStar = null; // (id, starred) => void
+    this.onPolicySave = null; // (policy) => void
+  }
+
+  /**
+   * @param {Array} recordings - Summaries from RecordingCache.listRecordings()
+   * @param {string|null} currentId - Id of the night loaded in the player
+   * @param {Object|null} estimate - StorageManager.getEstimate() result
+   * @param {Object} policy - Retention policy
+   */
+  render(recordings, currentId, estimate, policy) {
+    if (!this.container) {
+      console.warn("[Library] Container element not found");
+      return;
+    }
+
+    this.container.innerHTML = "";
+    this.container.appendChild(this.renderStorage(estimate));
+    this.container.appendChild(this.renderRetentionForm(policy));
+
+    if (recordings.length === 0) {
+      const empty = document.createElement("div");
+      empty.style.cssText = "color: #888; padding: 20px;";
+      empty.textContent = "No saved recordings yet";
+      this.container.appendChild(empty);
+      return;
+    }
+
+    const list = document.createElement("div");
+    list.className = "library-list";
+
+    for (const recording of recordings) {
+      list.appendChild(this.renderItem(recording, recording.id === currentId));
+    }
+
+    this.container.appendChild(list);
+  }
+
+  renderItem(recording, isCurrent) {
+    const item = document.createElement("div");
+    item.className = "library-item" + (isCurrent ? " current" : "");
+
+    const info = document.createElement("div");
+    info.className = "library-info";
+
+    const name = document.createElement("div");
+    name.className = "library-name";
+    name.textContent = recording.name;
+    info.appendChild(name);
+
+    const details = document.createElement("div");
+    details.className = "library-details";
+    details.textContent = [
+      new Date(recording.timestamp).toLocaleString(undefined, {
+        dateStyle: "medium",
+        timeStyle: "short",
+      }),
+      this.formatDuration(recording.duration),
+      `${recording.eventCount} event${recording.eventCount === 1 ? "" : "s"}`,
+      formatBytes(recording.size),
+      recording.soundActivated
+        ? "sound-activated"
+        : recording.clipsOnly
+          ? "event clips only"
+          : null,
+    ]
+      .filter(Boolean)
+      .join(" · ");
+    info.appendChild(details);
+
+    item.appendChild(info);
+
+    const buttons = document.createElement("div");
+    buttons.className = "library-buttons";
+    const starButton = this.createButton(recording.starred ? "★" : "☆", () => {
+      if (this.onStar) this.onStar(recording.id, !recording.starred);
+    });
+    starButton.title = recording.starred
+      ? "Starred: never deleted by the retention policy"
+      : "Star to keep this night";
+    buttons.appendChild(starButton);
+    buttons.appendChild(
+      this.createButton(isCurrent ? "Open ✓" : "Open", () => {
+        if (this.onOpen) this.onOpen(recording.id);
+      }),
+    );
+    buttons.appendChild(
+      this.createButton("Rename", () => {
+        const newName = prompt("Rename recording", recording.name);
+        if (newName && newName.trim() && this.onRename) {
+          this.onRename(recording.id, newName.trim());
+        }
+      }),
+    );
+    buttons.appendChild(
+      this.createButton("Delete", () => {
+        if (confirm(`Delete "${recording.name}"? This cannot be undone.`)) {
+          if (this.onDelete) this.onDelete(recording.id);
+        }
+      }),
+    );
+    item.appendChild(buttons);
+
+    return item;
+  }
+
+  renderStorage(estimate) {
+    const storage = document.createElement("div");
+    storage.className = "library-storage";
+
+    if (!estimate) {
+      storage.textContent = "Storage usage unavailable in this browser";
+      return storage;
+    }
+
+    const share = estimate.quota ? estimate.usage / estimate.quota : 0;
+    storage.textContent = `Storage: ${formatBytes(estimate.usage)} used of ${formatBytes(estimate.quota)}${estimate.persisted ? " (persistent)" : ""}`;
+
+    const bar = document.createElement("div");
+    bar.className = "library-storage-bar";
+    const fill = document.createElement("div");
+    fill.style.width = `${Math.min(100, share * 100).toFixed(1)}%`;
+    fill.classList.toggle("full", share > 0.9);
+    bar.appendChild(fill);
+    storage.appendChild(bar);
+
+    return storage;
+  }
+
+  renderRetentionForm(policy) {
+    const form = document.createElement("form");
+    form.className = "settings-form";
+    const inputs = {};
+    const errorElements = {};
+
+    for (const field of RETENTION_FIELDS) {
+      const row = document.createElement("label");
+      row.className = "settings-row";
+      row.textContent = `${field.label} (${field.unit})`;
+
+      const input = document.createElement("input");
+      input.type = "number";
+      input.min = 0;
+      input.max = field.max;
+      input.step = 1;
+      input.value = policy[field.key];
+      row.appendChild(input);
+
+      const error = document.createElement("span");
+      error.className = "settings-error";
+      row.appendChild(error);
+
+      inputs[field.key] = input;
+      errorElements[field.key] = error;
+      form.appendChild(row);
+    }
+
+    form.onsubmit = (e) => {
+      e.preventDefault();
+      const newPolicy = {};
+      for (const field of RETENTION_FIELDS) {
+        const raw = inputs[field.key].value;
+        newPolicy[field.key] = raw === "" ? NaN : Number(raw);
+      }
+
+      const errors = validateRetention(newPolicy);
+      for (const [key, element] of Object.entries(errorElements)) {
+        element.textContent = errors[key] || "";
+        inputs[key].classList.toggle("invalid", !!errors[key]);
+      }
+      if (Object.keys(errors).length === 0 && this.onPolicySave) {
+        this.onPolicySave(newPolicy);
+      }
+    };
+
+    const buttons = document.createElement("div");
+    buttons.className = "settings-buttons";
+    const saveBtn = document.createElement("button");
+    saveBtn.type = "submit";
+    saveBtn.className = "display-btn";
+    saveBtn.textContent = "Save & Apply";
+    buttons.appendChild(saveBtn);
+    form.appendChild(buttons);
+
+    return form;
+  }
+
+  createButton(label, onClick) {
+    const button = document.createElement("button");
+    button.type = "button";
+    button.className = "display-btn";
+    button.textContent = label;
+    button.onclick = onClick;
+    return button;
+  }
+
+  formatDuration(duration) {
+    if (!duration) return null;
+
+    const totalMinutes = Math.round(duration / 60000);
+    const hours = Math.floor(totalMinutes / 60);
+    const minutes = totalMinutes % 60;
+    return hours > 0 ? `${hours}h ${minutes}m` : `${minutes}m`;
+  }
+}
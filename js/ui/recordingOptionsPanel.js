@@ -0,0 +1,192 @@
+// Recording options form: microphone, capture constraints and continuous
+// (rolling files) or sound-activated recording
+import {
+  CHANNEL_COUNTS,
+  PROCESSING_OPTIONS,
+  RECORDING_OPTION_FIELDS,
+  SAMPLE_RATES,
+  validateRecordingOptions,
+} from "../storage/recordingOptionsStore.js";
+
+export class RecordingOptionsPanel {
+  constructor(container) {
+    this.container = container;
+    this.onSave = null; // (options) => void
+    this.devices = []; // Audio inputs from enumerateDevices()
+    this.deviceSelect = null;
+    this.deviceId = ""; // Saved choice, kept if the device is unplugged
+  }
+
+  render(options) {
+    if (!this.container) {
+      console.warn("[RecordingOptions] Container element not found");
+      return;
+    }
+
+    this.container.innerHTML = "";
+    this.deviceId = options.deviceId;
+
+    const form = document.createElement("form");
+    form.className = "settings-form";
+    const inputs = {};
+    const errorElements = {};
+
+    const addTitle = (text) => {
+      const title = document.createElement("div");
+      title.className = "settings-row";
+      title.textContent = text;
+      form.appendChild(title);
+    };
+
+    const addRow = (key, label, input) => {
+      const row = document.createElement("label");
+      row.className = "settings-row";
+      row.textContent = label;
+      row.appendChild(input);
+
+      const error = document.createElement("span");
+      error.className = "settings-error";
+      row.appendChild(error);
+
+      inputs[key] = input;
+      errorElements[key] = error;
+      form.appendChild(row);
+    };
+
+    const addCheckbox = (key, label) => {
+      const row = document.createElement("label");
+      row.className = "settings-row";
+      const input = document.createElement("input");
+      input.type = "checkbox";
+      input.checked = options[key];
+      row.appendChild(input);
+      row.append(` ${label}`);
+      inputs[key] = input;
+      form.appendChild(row);
+    };
+
+    addTitle("Microphone");
+    this.deviceSelect = document.createElement("select");
+    addRow("deviceId", "Input", this.deviceSelect);
+    this.renderDevices();
+
+    for (const { key, label } of PROCESSING_OPTIONS) {
+      addCheckbox(key, label);
+    }
+    addRow(
+      "channelCount",
+      "Channels",
+      createSelect(
+        CHANNEL_COUNTS.map((count) => [count, count === 1 ? "Mono" : "Stereo"]),
+        options.channelCount,
+      ),
+    );
+    addRow(
+      "sampleRate",
+      "Sample rate",
+      createSelect(
+        SAMPLE_RATES.map((rate) => [
+          rate,
+          rate ? `${rate} Hz` : "Browser default",
+        ]),
+        options.sampleRate,
+      ),
+    );
+
+    addTitle("Recording mode");
+    addCheckbox(
+      "soundActivated",
+      "Sound-activated: keep only noisy segments (with the event buffers before and after)",
+    );
+
+    for (const field of RECORDING_OPTION_FIELDS) {
+      const input = document.createElement("input");
+      input.type = "number";
+      input.min = field.min;
+      input.max = field.max;
+      input.step = 1;
+      input.value = options[field.key];
+      addRow(field.key, `${field.label} (${field.unit})`, input);
+    }
+
+    form.onsubmit = (e) => {
+      e.preventDefault();
+      const newOptions = {
+        deviceId: inputs.deviceId.value,
+        soundActivated: inputs.soundActivated.checked,
+        channelCount: Number(inputs.channelCount.value),
+        sampleRate: Number(inputs.sampleRate.value),
+      };
+      for (const { key } of PROCESSING_OPTIONS) {
+        newOptions[key] = inputs[key].checked;
+      }
+      for (const field of RECORDING_OPTION_FIELDS) {
+        const raw = inputs[field.key].value;
+        newOptions[field.key] = raw === "" ? NaN : Number(raw);
+      }
+
+      const errors = validateRecordingOptions(newOptions);
+      for (const [key, element] of Object.entries(errorElements)) {
+        element.textContent = errors[key] || "";
+        inputs[key].classList.toggle("invalid", !!errors[key]);
+      }
+      if (Object.keys(errors).length === 0 && this.onSave) {
+        this.deviceId = newOptions.deviceId;
+        this.onSave(newOptions);
+      }
+    };
+
+    const buttons = document.createElement("div");
+    buttons.className = "settings-buttons";
+    const saveBtn = document.createElement("button");
+    saveBtn.type = "submit";
+    saveBtn.className = "display-btn";
+    saveBtn.textContent = "Save Recording Options";
+    buttons.appendChild(saveBtn);
+    form.appendChild(buttons);
+
+    this.container.appendChild(form);
+  }
+
+  /**
+   * Update the microphone list (devices are plugged in and out, and names
+   * are only known once microphone access was granted)
+   *
+   * @param {Array<MediaDeviceInfo>} devices - Audio inputs
+   */
+  setDevices(devices) {
+    this.devices = devices;
+    this.renderDevices();
+  }
+
+  renderDevices() {
+    const select = this.deviceSelect;
+    if (!select) return;
+
+    // Keep an unsaved choice across updates
+    const selected = select.options.length ? select.value : this.deviceId;
+    const choices = [["", "Browser default"]];
+    this.devices.forEach((device, i) => {
+      if (device.deviceId === "default" || !device.deviceId) return;
+      choices.push([device.deviceId, device.label || `Microphone ${i + 1}`]);
+    });
+    if (selected && !choices.some(([id]) => id === selected)) {
+      choices.push([selected, "Saved microphone (not connected)"]);
+    }
+
+    select.innerHTML = "";
+    for (const [value, label] of choices) {
+      select.appendChild(new Option(label, value));
+    }
+    select.value = selected;
+  }
+}
+
+function createSelect(choices, selected) {
+  const select = document.createElement("select");
+  for (const [value, label] of choices) {
+    select.appendChild(new Option(label, value));
+  }
+  select.value = selected;
+  return select;
+}
@@ -0,0 +1,87 @@
+// Recording schedule form: delayed start, alarm time and maximum duration
+import { SCHEDULE_FIELDS, validateSchedule } from "../storage/scheduleStore.js";
+
+export class SchedulePanel {
+  constructor(container) {
+    this.container = container;
+    this.onSave = null; // (schedule) => void
+  }
+
+  render(schedule) {
+    if (!this.container) {
+      console.warn("[Schedule] Container element not found");
+      return;
+    }
+
+    this.container.innerHTML = "";
+
+    const form = document.createElement("form");
+    form.className = "settings-form";
+    const inputs = {};
+    const errorElements = {};
+
+    const title = document.createElement("div");
+    title.className = "settings-row";
+    title.textContent = "Recording schedule";
+    form.appendChild(title);
+
+    const addRow = (key, label, input) => {
+      const row = document.createElement("label");
+      row.className = "settings-row";
+      row.textContent = label;
+      row.appendChild(input);
+
+      const error = document.createElement("span");
+      error.className = "settings-error";
+      row.appendChild(error);
+
+      inputs[key] = input;
+      errorElements[key] = error;
+      form.appendChild(row);
+    };
+
+    for (const field of SCHEDULE_FIELDS) {
+      const input = document.createElement("input");
+      input.type = "number";
+      input.min = 0;
+      input.max = field.max;
+      input.step = 1;
+      input.value = schedule[field.key];
+      addRow(field.key, `${field.label} (${field.unit})`, input);
+    }
+
+    const stopAtInput = document.createElement("input");
+    stopAtInput.type = "time";
+    stopAtInput.value = schedule.stopAt;
+    addRow("stopAt", "Stop at (alarm time, empty = never)", stopAtInput);
+
+    form.onsubmit = (e) => {
+      e.preventDefault();
+      const newSchedule = { stopAt: stopAtInput.value };
+      for (const field of SCHEDULE_FIELDS) {
+        const raw = inputs[field.key].value;
+        newSchedule[field.key] = raw === "" ? NaN : Number(raw);
+      }
+
+      const errors = validateSchedule(newSchedule);
+      for (const [key, element] of Object.entries(errorElements)) {
+        element.textContent = errors[key] || "";
+        inputs[key].classList.toggle("invalid", !!errors[key]);
+      }
+      if (Object.keys(errors).length === 0 && this.onSave) {
+        this.onSave(newSchedule);
+      }
+    };
+
+    const buttons = document.createElement("div");
+    buttons.className = "settings-buttons";
+    const saveBtn = document.createElement("button");
+    saveBtn.type = "submit";
+    saveBtn.className = "display-btn";
+    saveBtn.textContent = "Save Schedule";
+    buttons.appendChild(saveBtn);
+    form.appendChild(buttons);
+
+    this.container.appendChild(form);
+  }
+}
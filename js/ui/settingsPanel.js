@@ -0,0 +1,165 @@
+// Detection settings form with presets and validation
+import {
+  PRESETS,
+  CUSTOM_PRESET,
+  SETTING_FIELDS,
+  validateSettings,
+  findMatchingPreset,
+} from "../detection/detectionSettings.js";
+
+// Rounding for unit conversion (avoids 0.3 / 0.01 = 29.999999999999996)
+const UNIT_PRECISION = 1e6;
+
+export class SettingsPanel {
+  constructor(container) {
+    this.container = container;
+    this.onSave = null;
+    this.onReanalyze = null;
+    this.inputs = {};
+    this.errorElements = {};
+    this.presetSelect = null;
+    this.reanalyzeBtn = null;
+    this.canReanalyze = false;
+  }
+
+  render(preset, settings) {
+    if (!this.container) {
+      console.warn("[Settings] Container element not found");
+      return;
+    }
+
+    this.container.innerHTML = "";
+    this.inputs = {};
+    this.errorElements = {};
+
+    const form = document.createElement("form");
+    form.className = "settings-form";
+    form.onsubmit = (e) => {
+      e.preventDefault();
+      this.handleSave();
+    };
+
+    // Preset selector
+    const presetRow = document.createElement("label");
+    presetRow.className = "settings-row";
+    presetRow.textContent = "Preset";
+    this.presetSelect = document.createElement("select");
+    for (const [name, { label }] of Object.entries(PRESETS)) {
+      this.presetSelect.add(new Option(label, name));
+    }
+    this.presetSelect.add(new Option("Custom", CUSTOM_PRESET));
+    this.presetSelect.value = preset;
+    this.presetSelect.onchange = () =>
+      this.applyPreset(this.presetSelect.value);
+    presetRow.appendChild(this.presetSelect);
+    form.appendChild(presetRow);
+
+    // One numeric input per setting
+    for (const field of SETTING_FIELDS) {
+      const row = document.createElement("label");
+      row.className = "settings-row";
+      row.textContent = `${field.label} (${field.unit})`;
+
+      const input = document.createElement("input");
+      input.type = "number";
+      input.min = field.min;
+      input.max = field.max;
+      input.step = field.step;
+      input.value = this.toDisplayValue(settings[field.key], field);
+      input.oninput = () => this.syncPresetSelect();
+      row.appendChild(input);
+
+      const error = document.createElement("span");
+      error.className = "settings-error";
+      row.appendChild(error);
+
+      this.inputs[field.key] = input;
+      this.errorElements[field.key] = error;
+      form.appendChild(row);
+    }
+
+    const buttons = document.createElement("div");
+    buttons.className = "settings-buttons";
+
+    const saveBtn = document.createElement("button");
+    saveBtn.type = "submit";
+    saveBtn.className = "display-btn";
+    saveBtn.textContent = "Save";
+    buttons.appendChild(saveBtn);
+
+    this.reanalyzeBtn = document.createElement("button");
+    this.reanalyzeBtn.type = "button";
+    this.reanalyzeBtn.className = "display-btn";
+    this.reanalyzeBtn.textContent = "Save & Re-analyze";
+    this.reanalyzeBtn.disabled = !this.canReanalyze;
+    this.reanalyzeBtn.onclick = () => {
+      if (this.handleSave() && this.onReanalyze) this.onReanalyze();
+    };
+    buttons.appendChild(this.reanalyzeBtn);
+
+    form.appendChild(buttons);
+    this.container.appendChild(form);
+  }
+
+  setReanalyzeEnabled(enabled) {
+    this.canReanalyze = enabled;
+    if (this.reanalyzeBtn) this.reanalyzeBtn.disabled = !enabled;
+  }
+
+  applyPreset(name) {
+    const preset = PRESETS[name];
+    if (!preset) return; // "Custom" keeps current values
+
+    for (const field of SETTING_FIELDS) {
+      this.inputs[field.key].value = this.toDisplayValue(
+        preset.settings[field.key],
+        field,
+      );
+    }
+    this.showErrors({});
+  }
+
+  syncPresetSelect() {
+    this.presetSelect.value = findMatchingPreset(this.readSettings());
+  }
+
+  readSettings() {
+    const settings = {};
+    for (const field of SETTING_FIELDS) {
+      const raw = this.inputs[field.key].value;
+      settings[field.key] =
+        raw === "" ? NaN : this.fromDisplayValue(Number(raw), field);
+    }
+    return settings;
+  }
+
+  handleSave() {
+    const settings = this.readSettings();
+    const errors = validateSettings(settings);
+    this.showErrors(errors);
+
+    if (Object.keys(errors).length > 0) {
+      return false;
+    }
+
+    if (this.onSave) {
+      this.onSave(findMatchingPreset(settings), settings);
+    }
+    return true;
+  }
+
+  showErrors(errors) {
+    for (const [key, element] of Object.entries(this.errorElements)) {
+      element.textContent = errors[key] || "";
+      this.inputs[key].classList.toggle("invalid", !!errors[key]);
+    }
+  }
+
+  toDisplayValue(value, field) {
+    return Math.round((value / field.scale) * UNIT_PRECISION) / UNIT_PRECISION;
+  }
+
+  fromDisplayValue(value, field) {
+    return Math.round(value * field.scale * UNIT_PRECISION) / UNIT_PRECISION;
+  }
+}
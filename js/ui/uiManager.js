@@ -28,10 +28,29 @@ export class UIManager {
     this.elements.timer.textContent = `${String(minutes).padStart(TIME_DISPLAY_PADDING, TIME_PAD_CHAR)}:${String(seconds).padStart(TIME_DISPLAY_PADDING, TIME_PAD_CHAR)}`;
   }
 
+  // Status line with a countdown, e.g. "⏳ Recording starts in 0:14:59"
+  updateCountdown(prefix, secondsLeft, className) {
+    const hours = Math.floor(secondsLeft / 3600);
+    const minutes = Math.floor((secondsLeft % 3600) / 60);
+    const seconds = secondsLeft % 60;
+    this.updateStatus(
+      `${prefix} ${hours}:${String(minutes).padStart(TIME_DISPLAY_PADDING, TIME_PAD_CHAR)}:${String(seconds).padStart(TIME_DISPLAY_PADDING, TIME_PAD_CHAR)}`,
+      className,
+    );
+  }
+
   clearTimer() {
     this.elements.timer.textContent = "";
   }
 
+  updateLiveEvents(count) {
+    this.elements.liveEvents.textContent = `${count} event${count === 1 ? "" : "s"} so far`;
+  }
+
+  clearLiveEvents() {
+    this.elements.liveEvents.textContent = "";
+  }
+
   setButtonStates(states) {
     if (states.record !== undefined)
       this.elements.recordBtn.disabled = !states.record;
@@ -48,6 +67,8 @@ export class UIManager {
     this.elements.frequencyBandsView.style.display = "none";
     this.elements.spectralView.style.display = "none";
     this.elements.eventsView.style.display = "none";
+    this.elements.settingsView.style.display = "none";
+    this.elements.libraryView.style.display = "none";
 
     // Show selected view
     if (mode === "bands") {
@@ -56,6 +77,10 @@ export class UIManager {
       this.elements.spectralView.style.display = "flex";
     } else if (mode === "events") {
       this.elements.eventsView.style.display = "flex";
+    } else if (mode === "settings") {
+      this.elements.settingsView.style.display = "flex";
+    } else if (mode === "library") {
+      this.elements.libraryView.style.display = "flex";
     }
   }
 }
@@ -1,14 +1,80 @@
 // Events list visualizer - simple list, no canvas
+import { EVENT_CATEGORIES } from "../detection/eventClassifier.js";
+import { EVENT_EXPORT_FORMATS } from "../export/eventFormats.js";
+import { formatLevel } from "../audio/levelMeter.js";
+
+const ALL_CATEGORIES = "all";
+const STARRED_FILTER = "starred";
+const CLIPS_EXPORT = "clips"; // Export menu entries next to the text formats
+const HIGHLIGHTS_EXPORT = "highlights";
+
+// Events without a dominant frequency sort last
+const SORT_ORDERS = {
+  time: { label: "Sort: Time", compare: (a, b) => a.startTime - b.startTime },
+  loudest: {
+    label: "Sort: Loudest",
+    compare: (a, b) => b.peakVolume - a.peakVolume,
+  },
+  lowest: {
+    label: "Sort: Lowest pitch",
+    compare: (a, b) =>
+      (a.dominantFrequency ?? Infinity) - (b.dominantFrequency ?? Infinity),
+  },
+  highest: {
+    label: "Sort: Highest pitch",
+    compare: (a, b) =>
+      (b.dominantFrequency ?? -Infinity) - (a.dominantFrequency ?? -Infinity),
+  },
+};
+
+// Band share needed to call an event low/mid/high
+const LOW_BAND_SHARE = 0.6;
+const MID_BAND_SHARE = 0.5;
+const HIGH_BAND_SHARE = 0.4;
+
 export class EventsListVisualizer {
   constructor(container) {
     this.container = container;
     this.events = [];
     this.playingEventIndex = null;
+    this.categoryFilter = ALL_CATEGORIES;
+    this.sortOrder = "time";
+    this.onPlayEvent = null;
+    this.expandedEpisodes = new Set(); // Indices of snoring episodes showing breaths
+    this.onAnnotate = null; // (event, index) => false to undo the change
+    this.onExport = null; // (formatId, indices) => void
+    this.onExportClips = null; // (indices) => void
+    this.onHighlights = null; // (indices, download) => void
+    this.labels = [];
+    this.editingIndex = null; // Event whose annotation editor is open
+    this.levelOffset = null; // Calibration of the night (dBFS to dB SPL)
   }
 
   update(events, duration) {
     this.events = events || [];
     this.duration = duration;
+    this.expandedEpisodes.clear();
+    this.editingIndex = null;
+  }
+
+  setLabels(labels) {
+    this.labels = labels;
+    if (this.onPlayEvent) {
+      this.renderEventsList(this.events, this.onPlayEvent);
+    }
+  }
+
+  setLevelOffset(offsetDb) {
+    if (offsetDb === this.levelOffset) return;
+
+    this.levelOffset = offsetDb;
+    if (this.onPlayEvent) {
+      this.renderEventsList(this.events, this.onPlayEvent);
+    }
+  }
+
+  formatLevel(db) {
+    return formatLevel(db, this.levelOffset);
   }
 
   updatePlayingEvent(index) {
@@ -79,21 +145,349 @@ export class EventsListVisualizer {
     };
 
     // Update icon and status text
-    const event = this.events[index];
+    eventDiv.innerHTML = this.renderEventContent(
+      this.events[index],
+      index,
+      isPlaying,
+    );
+  }
+
+  renderEventContent(event, index, isPlaying) {
     const startTime = this.formatTime(event.startTime / 1000);
     const duration = this.formatTime((event.endTime - event.startTime) / 1000);
-    const peakDb = event.peakVolume.toFixed(1);
+    const peak = this.formatLevel(event.peakVolume);
     const icon = isPlaying ? "⏸️" : "▶️";
     const statusText = isPlaying
       ? '<span style="color: #95e1d3; font-size: 11px; margin-left: 8px;">● PLAYING</span>'
       : "";
 
-    eventDiv.innerHTML = `
-      <div style="font-weight: bold; color: #fff;">${icon} Event ${index + 1}${statusText}</div>
+    if (event.type === "snoring") {
+      const period = (event.averagePeriodMs / 1000).toFixed(1);
+      const intensity = this.formatLevel(event.intensity);
+      const arrow = this.expandedEpisodes.has(index) ? "▾" : "▸";
+      return `
+      <div style="font-weight: bold; color: #fff;">${icon} Event ${index + 1} • Snoring episode${this.renderCategoryBadge(event)}${statusText}${this.renderEventControls(event)}</div>
       <div style="color: #aaa; font-size: 12px; margin-top: 5px;">
-        Start: ${startTime} • Duration: ${duration} • Peak: ${peakDb} dB
-      </div>
+        Start: ${startTime} • Duration: ${duration} • ${event.breathCount} breaths every ${period}s • Avg peak: ${intensity}
+      </div>${this.renderAnnotation(event)}
+      <div class="event-expand" data-action="expand">${arrow} Show breaths</div>
     `;
+    }
+
+    return `
+      <div style="font-weight: bold; color: #fff;">${icon} Event ${index + 1}${this.renderCategoryBadge(event)}${this.renderSpeechTag(event)}${statusText}${this.renderEventControls(event)}</div>
+      <div style="color: #aaa; font-size: 12px; margin-top: 5px;">
+        Start: ${startTime} • Duration: ${duration} • Peak: ${peak}${this.renderSpectrum(event)}
+      </div>${this.renderAnnotation(event)}
+    `;
+  }
+
+  // Star, edit and clip download buttons; clicks are handled in
+  // renderEventsList
+  renderEventControls(event) {
+    const starred = event.annotation?.starred;
+    const clipButton = this.onExportClips
+      ? '<span class="event-annotate" data-action="clip" title="Download audio clip">⬇</span>'
+      : "";
+    return `<span class="event-controls"><span class="event-star${starred ? " starred" : ""}" data-action="star" title="${starred ? "Unstar" : "Star"}">${starred ? "★" : "☆"}</span><span class="event-annotate" data-action="annotate" title="Add note or label">✎</span>${clipButton}</span>`;
+  }
+
+  renderAnnotation(event) {
+    const { note, label } = event.annotation || {};
+    if (!note && !label) return "";
+
+    const labelChip = label
+      ? `<span class="event-label">🏷️ ${escapeHtml(label)}</span>`
+      : "";
+    const noteText = note
+      ? `<span class="event-note">${escapeHtml(note)}</span>`
+      : "";
+    return `<div class="event-annotation">${labelChip}${noteText}</div>`;
+  }
+
+  renderAnnotationEditor(event, index) {
+    const annotation = event.annotation || {};
+    const editor = document.createElement("form");
+    editor.className = "event-editor";
+
+    const note = document.createElement("textarea");
+    note.placeholder = 'Note, e.g. "that was the cat"';
+    note.rows = 2;
+    note.value = annotation.note || "";
+    editor.appendChild(note);
+
+    const label = document.createElement("select");
+    label.add(new Option("No label", ""));
+    const labels = [...this.labels];
+    if (annotation.label && !labels.includes(annotation.label)) {
+      labels.push(annotation.label); // Removed from the set, still in use
+    }
+    for (const name of labels) {
+      label.add(new Option(name, name));
+    }
+    label.value = annotation.label || "";
+    editor.appendChild(label);
+
+    const saveBtn = document.createElement("button");
+    saveBtn.type = "submit";
+    saveBtn.className = "display-btn";
+    saveBtn.textContent = "Save";
+    editor.appendChild(saveBtn);
+
+    const cancelBtn = document.createElement("button");
+    cancelBtn.type = "button";
+    cancelBtn.className = "display-btn";
+    cancelBtn.textContent = "Cancel";
+    cancelBtn.onclick = () => {
+      this.editingIndex = null;
+      this.renderEventsList(this.events, this.onPlayEvent);
+    };
+    editor.appendChild(cancelBtn);
+
+    editor.onsubmit = (e) => {
+      e.preventDefault();
+      this.editingIndex = null;
+      this.annotate(index, {
+        ...annotation,
+        note: note.value.trim(),
+        label: label.value || null,
+      });
+    };
+
+    return editor;
+  }
+
+  toggleEditor(index) {
+    this.editingIndex = this.editingIndex === index ? null : index;
+    this.renderEventsList(this.events, this.onPlayEvent);
+  }
+
+  toggleStar(index) {
+    const annotation = this.events[index].annotation || {};
+    this.annotate(index, { ...annotation, starred: !annotation.starred });
+  }
+
+  annotate(index, annotation) {
+    const normalized = {
+      note: annotation.note || "",
+      label: annotation.label || null,
+      starred: !!annotation.starred,
+    };
+    const event = this.events[index];
+    const previous = event.annotation;
+    event.annotation = normalized;
+    if (this.onAnnotate && this.onAnnotate(event, index) === false) {
+      event.annotation = previous;
+    }
+    this.renderEventsList(this.events, this.onPlayEvent);
+  }
+
+  renderSpectrum(event) {
+    const description = this.describeSpectrum(event);
+    if (!description) return "";
+
+    const { low, mid, high } = event.bands;
+    const title = `Low ${this.formatLevel(low)} • Mid ${this.formatLevel(mid)} • High ${this.formatLevel(high)}`;
+    return ` • <span title="${title}">${description}</span>`;
+  }
+
+  describeSpectrum(event) {
+    if (!event.bands) return "";
+
+    const { lowShare, midShare, highShare } = event.bands;
+    let description = "Broadband";
+    if (lowShare >= LOW_BAND_SHARE) description = "Mostly low rumble";
+    else if (highShare >= HIGH_BAND_SHARE) description = "High-pitched";
+    else if (midShare >= MID_BAND_SHARE) description = "Mid-range";
+
+    const frequency = event.dominantFrequency;
+    if (frequency) {
+      description +=
+        frequency >= 1000
+          ? ` ~${(frequency / 1000).toFixed(1)} kHz`
+          : ` ~${frequency} Hz`;
+    }
+    return description;
+  }
+
+  // Individual breaths of a snoring episode, played with the episode's index
+  renderBreathsList(episode, index, onPlayEvent) {
+    const breathsDiv = document.createElement("div");
+    breathsDiv.className = "event-breaths";
+
+    episode.breaths.forEach((breath, breathIndex) => {
+      const breathDiv = document.createElement("div");
+      breathDiv.className = "event-breath";
+      breathDiv.textContent = `▶️ Breath ${breathIndex + 1} • ${this.formatTime(breath.startTime / 1000)} • Peak: ${this.formatLevel(breath.peakVolume)}`;
+      breathDiv.onclick = () => onPlayEvent(breath, index);
+      breathsDiv.appendChild(breathDiv);
+    });
+
+    return breathsDiv;
+  }
+
+  toggleEpisode(index) {
+    if (this.expandedEpisodes.has(index)) {
+      this.expandedEpisodes.delete(index);
+    } else {
+      this.expandedEpisodes.add(index);
+    }
+    this.renderEventsList(this.events, this.onPlayEvent);
+  }
+
+  renderCategoryBadge(event) {
+    const category = EVENT_CATEGORIES[event.category];
+    if (!category) return "";
+
+    const confidence = Math.round((event.confidence || 0) * 100);
+    return `<span class="event-category" title="Confidence ${confidence}%">${category.icon} ${category.label} ${confidence}%</span>`;
+  }
+
+  // Voice activity detection results that the category badge doesn't show
+  renderSpeechTag(event) {
+    if (event.type === "speech") {
+      return '<span class="event-tag">quiet, voice only</span>';
+    }
+    if (event.speechDetected && event.category !== "speech") {
+      return '<span class="event-tag">voice detected</span>';
+    }
+    return "";
+  }
+
+  matchesFilter(event) {
+    if (this.categoryFilter === ALL_CATEGORIES) return true;
+    if (this.categoryFilter === STARRED_FILTER) {
+      return !!event.annotation?.starred;
+    }
+    return this.getEventCategory(event) === this.categoryFilter;
+  }
+
+  // Events saved before classification existed count as "other"
+  getEventCategory(event) {
+    return EVENT_CATEGORIES[event.category] ? event.category : "other";
+  }
+
+  setCategoryFilter(category) {
+    this.categoryFilter = category;
+    if (this.onPlayEvent) {
+      this.renderEventsList(this.events, this.onPlayEvent);
+    }
+  }
+
+  setSortOrder(order) {
+    this.sortOrder = order;
+    if (this.onPlayEvent) {
+      this.renderEventsList(this.events, this.onPlayEvent);
+    }
+  }
+
+  // Indices into events in display order; indices stay the event's identity
+  getSortedIndices(events) {
+    const indices = events.map((_, index) => index);
+    const { compare } = SORT_ORDERS[this.sortOrder] || SORT_ORDERS.time;
+    return indices.sort(
+      (a, b) =>
+        compare(events[a], events[b]) ||
+        events[a].startTime - events[b].startTime,
+    );
+  }
+
+  renderToolbar(events) {
+    const toolbar = document.createElement("div");
+    toolbar.className = "events-toolbar";
+    toolbar.appendChild(this.renderFilterBar(events));
+
+    const sortSelect = document.createElement("select");
+    sortSelect.className = "events-filter";
+    for (const [name, { label }] of Object.entries(SORT_ORDERS)) {
+      sortSelect.add(new Option(label, name));
+    }
+    sortSelect.value = this.sortOrder;
+    sortSelect.onchange = () => this.setSortOrder(sortSelect.value);
+    toolbar.appendChild(sortSelect);
+
+    if (this.onHighlights) {
+      const highlightsBtn = document.createElement("button");
+      highlightsBtn.type = "button";
+      highlightsBtn.className = "display-btn";
+      highlightsBtn.textContent = "🎬 Highlights";
+      highlightsBtn.title = "Play the events shown back to back";
+      highlightsBtn.onclick = () =>
+        this.onHighlights(this.getShownIndices(events), false);
+      toolbar.appendChild(highlightsBtn);
+    }
+
+    if (this.onExport) {
+      toolbar.appendChild(this.renderExportMenu(events));
+    }
+
+    return toolbar;
+  }
+
+  renderFilterBar(events) {
+    const counts = {};
+    for (const event of events) {
+      const category = this.getEventCategory(event);
+      counts[category] = (counts[category] || 0) + 1;
+    }
+
+    const starredCount = events.filter(
+      (event) => event.annotation?.starred,
+    ).length;
+
+    const select = document.createElement("select");
+    select.className = "events-filter";
+    select.add(new Option(`All types (${events.length})`, ALL_CATEGORIES));
+    if (starredCount) {
+      select.add(new Option(`★ Starred (${starredCount})`, STARRED_FILTER));
+    }
+    for (const [name, { label, icon }] of Object.entries(EVENT_CATEGORIES)) {
+      if (counts[name]) {
+        select.add(new Option(`${icon} ${label} (${counts[name]})`, name));
+      }
+    }
+    select.value = this.categoryFilter;
+    select.onchange = () => this.setCategoryFilter(select.value);
+    return select;
+  }
+
+  renderExportMenu(events) {
+    const select = document.createElement("select");
+    select.className = "events-filter";
+    select.title = "Export the events shown";
+    select.add(new Option("⬇️ Export...", ""));
+    for (const [name, { label }] of Object.entries(EVENT_EXPORT_FORMATS)) {
+      select.add(new Option(label, name));
+    }
+    if (this.onExportClips) {
+      select.add(new Option("Audio clips (.zip)", CLIPS_EXPORT));
+    }
+    if (this.onHighlights) {
+      select.add(new Option("Highlights reel (.webm)", HIGHLIGHTS_EXPORT));
+    }
+    select.onchange = () => {
+      const formatId = select.value;
+      select.value = "";
+      if (!formatId) return;
+
+      const indices = this.getShownIndices(events);
+      if (formatId === CLIPS_EXPORT) {
+        this.onExportClips(indices);
+      } else if (formatId === HIGHLIGHTS_EXPORT) {
+        this.onHighlights(indices, true);
+      } else {
+        this.onExport(formatId, indices);
+      }
+    };
+    return select;
+  }
+
+  // Events passing the current filter, in time order
+  getShownIndices(events) {
+    return events
+      .map((_, index) => index)
+      .filter((index) => this.matchesFilter(events[index]))
+      .sort((a, b) => events[a].startTime - events[b].startTime);
   }
 
   formatTime(seconds) {
@@ -119,6 +513,7 @@ export class EventsListVisualizer {
 
     // Store events for later reference
     this.events = events || [];
+    this.onPlayEvent = onPlayEvent;
 
     this.container.innerHTML = "";
 
@@ -128,6 +523,12 @@ export class EventsListVisualizer {
       return;
     }
 
+    // Reset a filter that no longer matches any event (e.g. new recording)
+    if (!events.some((event) => this.matchesFilter(event))) {
+      this.categoryFilter = ALL_CATEGORIES;
+    }
+    this.container.appendChild(this.renderToolbar(events));
+
     const listContainer = document.createElement("div");
     listContainer.style.cssText = `
       max-height: 400px;
@@ -135,7 +536,12 @@ export class EventsListVisualizer {
       padding: 10px;
     `;
 
-    events.forEach((event, index) => {
+    this.getSortedIndices(events).forEach((index) => {
+      const event = events[index];
+      if (!this.matchesFilter(event)) {
+        return;
+      }
+
       const isPlaying = this.playingEventIndex === index;
       const eventDiv = document.createElement("div");
       eventDiv.className = "event-item";
@@ -159,30 +565,49 @@ export class EventsListVisualizer {
         eventDiv.style.background = isPlaying ? "#3498db" : "#2c3e50";
       };
 
-      eventDiv.onclick = () => {
+      eventDiv.onclick = (e) => {
+        if (e.target.closest('[data-action="expand"]')) {
+          this.toggleEpisode(index);
+          return;
+        }
+        if (e.target.closest('[data-action="star"]')) {
+          this.toggleStar(index);
+          return;
+        }
+        if (e.target.closest('[data-action="annotate"]')) {
+          this.toggleEditor(index);
+          return;
+        }
+        if (e.target.closest('[data-action="clip"]')) {
+          this.onExportClips([index]);
+          return;
+        }
         onPlayEvent(event, index);
       };
 
-      const startTime = this.formatTime(event.startTime / 1000);
-      const duration = this.formatTime(
-        (event.endTime - event.startTime) / 1000,
-      );
-      const peakDb = event.peakVolume.toFixed(1);
-      const icon = isPlaying ? "⏸️" : "▶️";
-      const statusText = isPlaying
-        ? '<span style="color: #95e1d3; font-size: 11px; margin-left: 8px;">● PLAYING</span>'
-        : "";
-
-      eventDiv.innerHTML = `
-        <div style="font-weight: bold; color: #fff;">${icon} Event ${index + 1}${statusText}</div>
-        <div style="color: #aaa; font-size: 12px; margin-top: 5px;">
-          Start: ${startTime} • Duration: ${duration} • Peak: ${peakDb} dB
-        </div>
-      `;
+      eventDiv.innerHTML = this.renderEventContent(event, index, isPlaying);
 
       listContainer.appendChild(eventDiv);
+
+      if (this.editingIndex === index) {
+        listContainer.appendChild(this.renderAnnotationEditor(event, index));
+      }
+
+      if (event.type === "snoring" && this.expandedEpisodes.has(index)) {
+        listContainer.appendChild(
+          this.renderBreathsList(event, index, onPlayEvent),
+        );
+      }
     });
 
     this.container.appendChild(listContainer);
   }
 }
+
+function escapeHtml(text) {
+  return text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
@@ -1,6 +1,7 @@
 import { FrequencyBandsVisualizer } from "./frequencyBands.js";
 import { SpectralVisualizer } from "./spectral.js";
 import { EventsListVisualizer } from "./eventsList.js";
+import { formatLevel } from "../audio/levelMeter.js";
 
 // Constants for visualization manager
 const WAVEFORM_NORMALIZATION_OFFSET = 128;
@@ -24,6 +25,7 @@ export class VisualizationManager {
     this.analyser = null;
     this.animationId = null;
     this.displayMode = "bands";
+    this.levelOffset = null; // Calibration (dBFS to dB SPL), null = dBFS
   }
 
   setAnalyser(analyser) {
@@ -70,7 +72,14 @@ export class VisualizationManager {
     }
     const rms = Math.sqrt(sum / waveformData.length);
     const db = 20 * Math.log10(rms);
-    this.volumeElement.textContent = `Volume: ${db > MIN_DB_THRESHOLD ? db.toFixed(1) + " dB" : "-∞ dB"}`;
+    if (!(db > MIN_DB_THRESHOLD)) {
+      this.volumeElement.textContent = "Volume: -∞ dB";
+    } else if (this.levelOffset === null) {
+      this.volumeElement.textContent = `Volume: ${formatLevel(db, null)}`;
+    } else {
+      // dBFS too, as the sound-activated trigger is set in dBFS
+      this.volumeElement.textContent = `Volume: ${formatLevel(db, this.levelOffset)} (${db.toFixed(1)} dBFS)`;
+    }
   }
 
   stop() {
@@ -114,4 +123,34 @@ export class VisualizationManager {
   updatePlayingEvent(index) {
     this.eventsList.updatePlayingEvent(index);
   }
+
+  setEventAnnotationHandler(handler) {
+    this.eventsList.onAnnotate = handler;
+  }
+
+  setEventExportHandler(handler) {
+    this.eventsList.onExport = handler;
+  }
+
+  setEventClipExportHandler(handler) {
+    this.eventsList.onExportClips = handler;
+  }
+
+  setHighlightsHandler(handler) {
+    this.eventsList.onHighlights = handler;
+  }
+
+  setEventLabels(labels) {
+    this.eventsList.setLabels(labels);
+  }
+
+  /**
+   * Show levels calibrated for the microphone of the night
+   *
+   * @param {number|null} offsetDb - dBFS to approximate dB SPL, null = dBFS
+   */
+  setLevelOffset(offsetDb) {
+    this.levelOffset = offsetDb;
+    this.eventsList.setLevelOffset(offsetDb);
+  }
 }